@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+// summarize.mjs
+// Command-line summary of a Discord data export. It runs the same parsers as
+// the web interface (modules/*.js) under Node, so exports can be inspected or
+// processed in batch from a terminal. Nothing is sent over the network.
+//
+// Usage: node cli/summarize.mjs <export.zip> [--format markdown|json] [--output file]
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { basename } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { parseUser, parseApplications } from '../modules/account.js';
+import { listChannelDirs, readChannelInfo, readMessages, parseTimestamp } from '../modules/messages.js';
+import { parseServerIndex } from '../modules/servers.js';
+
+// jszip.min.js is a UMD bundle; in the browser it defines a global instead
+const require = createRequire(import.meta.url);
+const JSZip = require('../jszip.min.js');
+globalThis.JSZip = JSZip;
+
+const USAGE = `Usage: node cli/summarize.mjs <export.zip> [options]
+
+Options:
+  -f, --format <markdown|json>  Output format (default: markdown)
+  -o, --output <file>           Write the summary to a file instead of stdout
+  -q, --quiet                   Do not print progress to stderr
+  -h, --help                    Show this help`;
+
+function parseArgs(argv) {
+    const args = { file: null, format: 'markdown', output: null, quiet: false, help: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') args.help = true;
+        else if (arg === '-q' || arg === '--quiet') args.quiet = true;
+        else if (arg === '-f' || arg === '--format') args.format = argv[++i];
+        else if (arg.startsWith('--format=')) args.format = arg.slice('--format='.length);
+        else if (arg === '-o' || arg === '--output') args.output = argv[++i];
+        else if (arg.startsWith('--output=')) args.output = arg.slice('--output='.length);
+        else if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+        else if (!args.file) args.file = arg;
+        else throw new Error(`Unexpected argument: ${arg}`);
+    }
+    if (args.format === 'md') args.format = 'markdown';
+    if (!['markdown', 'json'].includes(args.format)) throw new Error(`Unknown format: ${args.format}`);
+    return args;
+}
+
+// Widen a { first, last } date range with one ISO timestamp
+function extendRange(range, iso) {
+    if (!iso) return;
+    if (!range.first || iso < range.first) range.first = iso;
+    if (!range.last || iso > range.last) range.last = iso;
+}
+
+async function summarizeAccount(zip) {
+    if (!zip.file('Account/user.json')) return null;
+    const [user, applications] = await Promise.all([parseUser(zip), parseApplications(zip)]);
+    const relationships = {};
+    for (const r of user.relationships) {
+        relationships[r.type] = (relationships[r.type] || 0) + 1;
+    }
+    return {
+        id: user.id,
+        username: user.username,
+        globalName: user.globalName,
+        email: user.email ?? null,
+        verified: !!user.verified,
+        premiumUntil: user.premiumUntil ?? null,
+        friends: relationships[1] || 0,
+        blocked: relationships[2] || 0,
+        connections: user.connections.map(c => `${c.type}: ${c.name}`),
+        applications: applications.length,
+        payments: user.billing.payments.length
+    };
+}
+
+// Message totals and date ranges per channel and per server
+async function summarizeMessages(zip, onProgress) {
+    const dirs = listChannelDirs(zip).sort();
+    const channels = [];
+    const servers = new Map();
+    const totals = { channels: dirs.length, messages: 0, first: null, last: null, errors: 0 };
+    for (const [i, dir] of dirs.entries()) {
+        const info = await readChannelInfo(zip, dir);
+        const channel = {
+            dir,
+            id: info.id,
+            name: info.name,
+            type: info.is_thread ? 'thread' : info.is_group ? 'group dm' : info.is_dm ? 'dm' : 'channel',
+            server: info.is_dm ? null : info.guild || null,
+            messages: 0,
+            first: null,
+            last: null
+        };
+        try {
+            const messages = await readMessages(zip, dir);
+            channel.messages = messages.length;
+            for (const m of messages) {
+                const date = parseTimestamp(m.timestamp);
+                if (date) extendRange(channel, date.toISOString());
+            }
+        } catch (err) {
+            channel.error = err.message;
+            totals.errors++;
+        }
+        channels.push(channel);
+
+        const key = info.is_dm ? 'Direct Messages' : channel.server || 'Other channels';
+        if (!servers.has(key)) servers.set(key, { name: key, id: info.is_dm ? null : info.guildId || null, channels: 0, messages: 0, first: null, last: null });
+        const server = servers.get(key);
+        server.channels++;
+        server.messages += channel.messages;
+        extendRange(server, channel.first);
+        extendRange(server, channel.last);
+        totals.messages += channel.messages;
+        extendRange(totals, channel.first);
+        extendRange(totals, channel.last);
+        onProgress?.(i + 1, dirs.length);
+    }
+    channels.sort((a, b) => b.messages - a.messages || String(a.name).localeCompare(String(b.name)));
+    return {
+        totals,
+        servers: Array.from(servers.values()).sort((a, b) => b.messages - a.messages),
+        channels
+    };
+}
+
+export async function summarize(zip, onProgress) {
+    const [account, servers, messages] = await Promise.all([
+        summarizeAccount(zip),
+        parseServerIndex(zip),
+        summarizeMessages(zip, onProgress)
+    ]);
+    return {
+        generatedAt: new Date().toISOString(),
+        folders: Array.from(new Set(Object.keys(zip.files).map(path => path.split('/')[0]))).sort(),
+        account,
+        serverCount: servers.length,
+        ...messages
+    };
+}
+
+function cell(value) {
+    return String(value ?? '—').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function day(iso) {
+    return iso ? iso.slice(0, 10) : '—';
+}
+
+function table(headers, rows) {
+    return [
+        `| ${headers.join(' | ')} |`,
+        `| ${headers.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+    ].join('\n');
+}
+
+export function toMarkdown(summary, title = 'Discord export') {
+    const lines = [`# ${title}`, '', `Generated ${summary.generatedAt}. Folders: ${summary.folders.join(', ') || '—'}. Servers: ${summary.serverCount}.`, ''];
+    const { account, totals } = summary;
+    if (account) {
+        lines.push('## Account', '', table(['Field', 'Value'], [
+            ['User ID', account.id],
+            ['Username', account.username],
+            ['Global name', account.globalName],
+            ['Email', account.email],
+            ['Verified', account.verified ? 'Yes' : 'No'],
+            ['Premium until', account.premiumUntil],
+            ['Friends', account.friends],
+            ['Blocked', account.blocked],
+            ['Connections', account.connections.join(', ') || '—'],
+            ['Applications', account.applications],
+            ['Payments', account.payments]
+        ]), '');
+    }
+    lines.push('## Messages', '',
+        `${totals.messages} messages in ${totals.channels} channels, ${day(totals.first)} to ${day(totals.last)}.` +
+        (totals.errors ? ` ${totals.errors} channel(s) could not be read.` : ''), '');
+    lines.push('### Per server', '', table(['Server', 'Channels', 'Messages', 'First', 'Last'],
+        summary.servers.map(s => [s.name, s.channels, s.messages, day(s.first), day(s.last)])), '');
+    lines.push('### Per channel', '', table(['Channel', 'Type', 'Server', 'Messages', 'First', 'Last'],
+        summary.channels.map(c => [c.error ? `${c.name} (error: ${c.error})` : c.name, c.type, c.server, c.messages, day(c.first), day(c.last)])), '');
+    return lines.join('\n');
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(err.message + '\n\n' + USAGE);
+        process.exit(2);
+    }
+    if (args.help || !args.file) {
+        console.log(USAGE);
+        process.exit(args.help ? 0 : 2);
+    }
+    const zip = await JSZip.loadAsync(await readFile(args.file));
+    const summary = await summarize(zip, args.quiet ? null : (done, total) => {
+        process.stderr.write(`\rReading channels… ${done} of ${total}`);
+        if (done === total) process.stderr.write('\n');
+    });
+    const text = args.format === 'json'
+        ? JSON.stringify(summary, null, 2) + '\n'
+        : toMarkdown(summary, basename(args.file));
+    if (args.output) {
+        await writeFile(args.output, text);
+    } else {
+        process.stdout.write(text);
+    }
+}
+
+// Only run when executed directly, so summarize() can be imported by scripts
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main().catch(err => {
+        console.error('Error: ' + err.message);
+        process.exit(1);
+    });
+}
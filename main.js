@@ -1,6 +1,7 @@
 // Main entry point for the Discord Export Visualizer.
-// This script wires up the file upload UI, extracts the ZIP archive using JSZip,
-// and orchestrates the individual modules responsible for each folder of the export.
+// This script wires up the file upload UI, loads the ZIP archive through
+// modules/loader.js (with progress and a cancel button),
+// and orchestrates the section modules listed in modules/registry.js.
 // It also exposes a simple test runner to verify that individual parsing functions behave as expected.
 
 // We use the global JSZip object loaded in index.html. ESLint and bundlers
@@ -8,70 +9,303 @@
 
 /* global JSZip */
 
+import { getSetting, setSetting, onSettingChange } from './modules/settings.js';
+import { browserTimeZone, timeZones } from './modules/time.js';
+import { renderRememberForm, renderSavedExports } from './modules/saved-exports.js';
+import { sectionsFor, loadTestModules } from './modules/registry.js';
+import { formatRoute, parseRoute } from './modules/router.js';
+import { createRedactedZip, watchRedaction } from './modules/redact.js';
+import { downloadBlob } from './modules/export.js';
+import { loadZip, formatProgress } from './modules/loader.js';
+
 // Container elements
 const fileInput = document.getElementById('fileInput');
 const dropZone = document.getElementById('dropZone');
 const uploadStatus = document.getElementById('upload-status');
+const uploadProgress = document.getElementById('upload-progress');
+const uploadProgressBar = document.getElementById('uploadProgress');
+const cancelLoadBtn = document.getElementById('cancelLoad');
 const nav = document.getElementById('nav');
 const content = document.getElementById('content');
 const testSection = document.getElementById('test-section');
 const runTestsBtn = document.getElementById('runTests');
 const testResults = document.getElementById('testResults');
+const offlineToggle = document.getElementById('offlineMode');
+const redactToggle = document.getElementById('redactMode');
+const redactSection = document.getElementById('redact-section');
+const redactedCopyBtn = document.getElementById('redactedCopy');
+const redactPlaceholders = document.getElementById('redactPlaceholders');
+const redactStatus = document.getElementById('redact-status');
+const timeZoneSelect = document.getElementById('timeZone');
+const localeSelect = document.getElementById('locale');
+const compareSection = document.getElementById('compare-section');
+const compareInput = document.getElementById('compareInput');
+const compareStatus = document.getElementById('compare-status');
+const rememberSection = document.getElementById('remember-section');
+const savedExports = document.getElementById('saved-exports');
 
 // Placeholder for loaded modules and data
 const modules = {};
+const navButtons = {}; // section name -> nav button
 let zip; // holds the JSZip instance after loading
+let zipName; // file name of the loaded ZIP
+let zipKey = null; // name and size of the loaded ZIP, to recognise it when opened again
+let compareZip = null; // { zip, name } of a second export to compare with
+let loading = null; // AbortController of the export being loaded
 
-// Utility: create a navigation button
+// Utility: create a navigation button. The handler receives optional
+// render options when the section is opened through navigate(); clicks are
+// wired up by addSection() so they are recorded in the browser history.
 function createNavButton(name, handler) {
     const btn = document.createElement('button');
     btn.textContent = name;
-    btn.addEventListener('click', () => {
+    const open = (options) => {
         // Set active class on the clicked button and remove from others
         Array.from(nav.children).forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
         // Clear previous content
         content.innerHTML = '';
-        handler();
-    });
+        handler(options);
+    };
+    btn.open = open;
     return btn;
 }
 
-// File input handler: load the selected ZIP
-async function handleFile(file) {
+// Register a section's nav button so other sections can link to it
+function addSection(section, label, handler) {
+    const btn = createNavButton(label, handler);
+    btn.addEventListener('click', () => navigate(section));
+    navButtons[section] = btn;
+    nav.appendChild(btn);
+}
+
+// Put a section and its options into the URL fragment. history is 'push'
+// for a new entry, 'replace' to overwrite the current one or 'none'.
+function setRoute(section, options = {}, history = 'push') {
+    const hash = formatRoute(section, options);
+    if (history === 'none' || hash === location.hash) return;
+    if (history === 'replace') window.history.replaceState(null, '', hash);
+    else window.history.pushState(null, '', hash);
+}
+
+// Open a section, e.g. from a link inside another section or a nav button
+function navigate(section, options = {}, { history = 'push' } = {}) {
+    const btn = navButtons[section];
+    if (!btn) return false;
+    setRoute(section, options, history);
+    btn.open(options);
+    return true;
+}
+
+// Open the section named in the URL fragment, if the loaded export has it.
+// Without a route the content area is cleared.
+function openRoute(history) {
+    const route = parseRoute(location.hash);
+    if (route && navigate(route.section, route.options, { history })) return;
+    Array.from(nav.children).forEach(b => b.classList.remove('active'));
+    content.innerHTML = '';
+}
+
+// Show loader progress in the upload card. Only reading the file runs in
+// the background; the bar is indeterminate while JSZip opens the archive
+// on the page, which does not report progress and cannot be cancelled
+function showLoadProgress(progress) {
+    uploadStatus.textContent = formatProgress(progress);
+    cancelLoadBtn.disabled = progress.phase === 'open';
+    if (progress.phase === 'open') uploadProgressBar.removeAttribute('value');
+    else uploadProgressBar.value = progress.total ? progress.loaded / progress.total : 0;
+}
+
+// File input handler: load the selected ZIP. saved is set for exports
+// opened from the encrypted browser storage. Starting another load or
+// pressing Cancel stops this one; the export loaded before stays open.
+async function handleFile(file, { saved = false } = {}) {
     if (!file) return;
+    loading?.abort();
+    const controller = new AbortController();
+    loading = controller;
     uploadStatus.textContent = 'Loading ZIP file...';
+    uploadProgressBar.value = 0;
+    cancelLoadBtn.disabled = false;
+    uploadProgress.classList.remove('hidden');
+    let loaded;
+    try {
+        loaded = await loadZip(file, { signal: controller.signal, onProgress: showLoadProgress });
+    } catch (err) {
+        // A newer load reports its own status
+        if (loading !== controller) return;
+        if (controller.signal.aborted) {
+            uploadStatus.textContent = zip ? `Loading cancelled; ${zipName} is still open.` : 'Loading cancelled.';
+        } else {
+            console.error(err);
+            uploadStatus.textContent = 'Error loading ZIP file: ' + err.message;
+        }
+        return;
+    } finally {
+        if (loading === controller) {
+            loading = null;
+            uploadProgress.classList.add('hidden');
+        }
+    }
     try {
-        zip = await JSZip.loadAsync(file);
-        uploadStatus.textContent = 'ZIP file loaded successfully.';
-        // Determine which top-level folders exist
-        const rootFolders = Object.keys(zip.files)
-            .filter(name => name.endsWith('/'))
-            .map(name => name.split('/')[0])
-            .filter((v, i, a) => a.indexOf(v) === i);
-        // Dynamically import modules based on available folders
+        // The route in the URL belongs to the export open before; only the
+        // same export (e.g. opened again after a reload) may reuse it
+        const key = `${file.name}:${file.size}`;
+        if (zipKey !== null && zipKey !== key && location.hash) {
+            window.history.replaceState(null, '', location.pathname + location.search);
+        }
+        zipKey = key;
+        zip = loaded;
+        zipName = file.name;
+        compareZip = null;
+        compareInput.value = '';
+        compareStatus.textContent = '';
+        uploadStatus.textContent = saved ? `${file.name} opened from browser storage.` : 'ZIP file loaded successfully.';
+        // Nothing is stored unless the user asks for it
+        if (saved) {
+            rememberSection.classList.add('hidden');
+        } else {
+            renderRememberForm(rememberSection, file, refreshSavedExports);
+        }
+        // Every section module declares the paths it handles (see modules/registry.js)
         nav.innerHTML = '';
-        for (const folder of rootFolders) {
-            switch (folder.toLowerCase()) {
-                case 'account':
-                    modules.account = await import('./modules/account.js');
-                    nav.appendChild(createNavButton('Account', () => modules.account.render(zip, content)));
-                    break;
-                case 'messages':
-                    modules.messages = await import('./modules/messages.js');
-                    nav.appendChild(createNavButton('Messages', () => modules.messages.render(zip, content)));
-                    break;
+        for (const key of Object.keys(navButtons)) delete navButtons[key];
+        for (const key of Object.keys(modules)) delete modules[key];
+        for (const section of await sectionsFor(zip)) {
+            modules[section.id] = section.module;
+            if (section.label) {
+                addSection(section.id, section.label, (options) => section.module.render(zip, content, options));
             }
         }
-        // Show nav and test section
+        redactStatus.textContent = '';
+        // Show nav, redaction, comparison input and test section
         nav.classList.remove('hidden');
+        redactSection.classList.remove('hidden');
+        compareSection.classList.remove('hidden');
         testSection.classList.remove('hidden');
+        // A link, a reload or reopening the same export keeps the route in
+        // the URL; reopen it
+        openRoute('none');
     } catch (err) {
         console.error(err);
         uploadStatus.textContent = 'Error loading ZIP file: ' + err.message;
     }
 }
 
+// Load a second export and open the Compare section
+async function handleCompareFile(file) {
+    if (!file || !zip) return;
+    compareStatus.textContent = 'Loading ZIP file...';
+    try {
+        compareZip = { zip: await loadZip(file, { onProgress: (progress) => { compareStatus.textContent = formatProgress(progress); } }), name: file.name };
+        compareStatus.textContent = `Comparing with ${file.name}.`;
+        modules.compare = await import('./modules/compare.js');
+        if (!navButtons.compare) {
+            addSection('compare', 'Compare', (options) => modules.compare.render(zip, content, { ...options, name: zipName, other: compareZip }));
+        }
+        navigate('compare');
+    } catch (err) {
+        console.error(err);
+        compareZip = null;
+        compareStatus.textContent = 'Error loading ZIP file: ' + err.message;
+    }
+}
+
+function refreshSavedExports() {
+    renderSavedExports(savedExports, async (file) => {
+        await handleFile(file, { saved: true });
+        refreshSavedExports();
+    });
+}
+
+// Sections request navigation to each other through a "navigate" event whose
+// detail names the target section plus any render options.
+document.addEventListener('navigate', (e) => {
+    const { section, ...options } = e.detail;
+    navigate(section, options);
+});
+
+// Sections report a selection they made themselves (a channel, a message)
+// through a "route" event with the same detail; only the URL changes.
+document.addEventListener('route', (e) => {
+    const { section, ...options } = e.detail;
+    setRoute(section, options);
+});
+
+// Back and forward reopen the section and selection of that history entry
+window.addEventListener('popstate', () => {
+    if (zip) openRoute('none');
+});
+
+// Strict offline mode: attachment links are only opened after a warning
+offlineToggle.checked = getSetting('offlineMode');
+offlineToggle.addEventListener('change', () => setSetting('offlineMode', offlineToggle.checked));
+
+// Redaction mode masks the content area; turning it off renders the
+// open section again from the unmasked data
+let stopRedaction = null;
+
+function applyRedaction() {
+    stopRedaction?.();
+    stopRedaction = getSetting('redact') ? watchRedaction(content) : null;
+}
+
+redactToggle.checked = getSetting('redact');
+redactToggle.addEventListener('change', () => setSetting('redact', redactToggle.checked));
+applyRedaction();
+
+// A copy of the loaded export with the same fields scrubbed, to attach to bug reports
+redactedCopyBtn.addEventListener('click', async () => {
+    if (!zip) return;
+    redactedCopyBtn.disabled = true;
+    try {
+        const blob = await createRedactedZip(zip, { placeholders: redactPlaceholders.checked }, (done, total) => {
+            redactStatus.textContent = total === undefined
+                ? `Compressing… ${Math.round(done)}%`
+                : `Redacting file ${done} of ${total}…`;
+        });
+        downloadBlob(blob, `${zipName.replace(/\.zip$/i, '')}-redacted.zip`);
+        redactStatus.textContent = 'Redacted copy created.';
+    } catch (err) {
+        console.error('Could not create redacted copy', err);
+        redactStatus.textContent = 'Error creating redacted copy: ' + err.message;
+    } finally {
+        redactedCopyBtn.disabled = false;
+    }
+});
+
+// Time zone and date format; '' keeps the browser's
+const LOCALES = ['en-US', 'en-GB', 'de-DE', 'fr-FR', 'es-ES', 'it-IT', 'nl-NL', 'pl-PL', 'pt-BR', 'ru-RU', 'sv-SE', 'tr-TR', 'ja-JP', 'ko-KR', 'zh-CN'];
+
+function fillSelect(select, values, defaultLabel) {
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = defaultLabel;
+    select.appendChild(option);
+    for (const value of values) {
+        const item = document.createElement('option');
+        item.value = value;
+        item.textContent = value;
+        select.appendChild(item);
+    }
+}
+
+fillSelect(timeZoneSelect, timeZones(), `Browser (${browserTimeZone()})`);
+fillSelect(localeSelect, Intl.DateTimeFormat.supportedLocalesOf(LOCALES), `Browser (${new Intl.DateTimeFormat().resolvedOptions().locale})`);
+timeZoneSelect.value = getSetting('timeZone');
+localeSelect.value = getSetting('locale');
+timeZoneSelect.addEventListener('change', () => setSetting('timeZone', timeZoneSelect.value));
+localeSelect.addEventListener('change', () => setSetting('locale', localeSelect.value));
+
+// Dates are formatted while rendering, so the open section is rendered again
+onSettingChange((key) => {
+    if (key === 'redact') applyRedaction();
+    if ((key === 'timeZone' || key === 'locale' || key === 'redact') && zip) openRoute('none');
+});
+
+// Exports the user chose to keep, encrypted, in this browser
+refreshSavedExports();
+
 // Drag and drop behaviour
 dropZone.addEventListener('dragover', (e) => {
     e.preventDefault();
@@ -94,12 +328,18 @@ fileInput.addEventListener('change', () => {
     handleFile(file);
 });
 
+cancelLoadBtn.addEventListener('click', () => loading?.abort());
+
+compareInput.addEventListener('change', () => {
+    handleCompareFile(compareInput.files[0]);
+});
+
 // Test runner: iterate over modules and collect test results
 runTestsBtn.addEventListener('click', async () => {
     testResults.innerHTML = '';
     const resultsList = document.createElement('ul');
-    // For each loaded module run its tests if available
-    const modulesToTest = Object.values(modules);
+    // For each loaded module and each page-less module run its tests if available
+    const modulesToTest = [...Object.values(modules), ...await loadTestModules()];
     let allPassed = true;
     for (const mod of modulesToTest) {
         if (typeof mod.test === 'function') {
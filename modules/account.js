@@ -5,9 +5,31 @@
 //    populates the given container element with DOM elements.
 //  - test(zip): runs simple unit tests on the parsing logic and returns a
 //    promise resolving to an array of test result objects.
+// plus its `section` entry for registry.js.
 
 /* global JSZip */
 
+import { listChannelDirs, readChannelInfo, parseTimestamp } from './messages.js';
+import { parseServerIndex, snowflakeToDate } from './servers.js';
+import { dateFormatter, formatDateTime } from './time.js';
+
+// Section registration (see registry.js)
+export const section = {
+    id: 'account',
+    label: 'Account',
+    order: 10,
+    paths: [/^Account\//i]
+};
+
+// Relationship types used in user.json
+const RELATIONSHIP_TYPES = {
+    1: 'Friends',
+    2: 'Blocked',
+    3: 'Incoming Requests',
+    4: 'Outgoing Requests',
+    5: 'Suggestions'
+};
+
 // Helper to read a text file from the ZIP and parse JSON
 async function readJson(zip, path) {
     const file = zip.file(path);
@@ -16,19 +38,22 @@ async function readJson(zip, path) {
     return JSON.parse(text);
 }
 
-// Helper to convert a binary file to a data URI. Accepts images (png/jpeg)
+// Helper to convert a binary file to a data URI. Accepts images (png/jpeg/gif/webp)
 async function fileToDataUri(zip, path) {
     const file = zip.file(path);
     if (!file) return null;
     const data = await file.async('base64');
     // Determine MIME type from extension
     const ext = path.split('.').pop().toLowerCase();
-    const mime = ext === 'png' ? 'image/png' : ext === 'jpg' || ext === 'jpeg' ? 'image/jpeg' : 'application/octet-stream';
+    const mime = ext === 'png' ? 'image/png'
+        : ext === 'jpg' || ext === 'jpeg' ? 'image/jpeg'
+            : ext === 'gif' || ext === 'webp' ? `image/${ext}`
+                : 'application/octet-stream';
     return `data:${mime};base64,${data}`;
 }
 
 // Parse the user.json file into a simplified object
-async function parseUser(zip) {
+export async function parseUser(zip) {
     const user = await readJson(zip, 'Account/user.json');
     return {
         id: user.id,
@@ -39,32 +64,334 @@ async function parseUser(zip) {
         verified: user.verified,
         phone: user.phone,
         premiumUntil: user.premium_until,
-        flags: user.flags || []
+        flags: user.flags || [],
+        relationships: parseRelationships(user.relationships),
+        billing: parseBilling(user),
+        connections: parseConnections(user.connected_accounts),
+        settings: parseSettings(user.settings),
+        guildSettings: Array.isArray(user.guild_settings) ? user.guild_settings : []
+    };
+}
+
+// Human labels for known keys of user.json "settings". Keys that are not
+// listed here are shown verbatim in the "Other" group.
+const SETTING_LABELS = {
+    // Privacy
+    default_guilds_restricted: ['Privacy', 'Block DMs from new server members'],
+    restricted_guilds: ['Privacy', 'Servers with DMs blocked'],
+    friend_source_flags: ['Privacy', 'Who can send friend requests'],
+    explicit_content_filter: ['Privacy', 'Scan direct messages for explicit content'],
+    detect_platform_accounts: ['Privacy', 'Detect accounts from other platforms'],
+    contact_sync_upsell_shown: ['Privacy', 'Contact sync prompt shown'],
+    allow_accessibility_detection: ['Privacy', 'Allow accessibility detection'],
+    show_current_game: ['Privacy', 'Display current activity as a status message'],
+    passwordless: ['Privacy', 'Passwordless login'],
+    // Content & social
+    render_embeds: ['Content & Social', 'Show embeds and link previews'],
+    render_reactions: ['Content & Social', 'Show emoji reactions'],
+    inline_embed_media: ['Content & Social', 'Show media posted as links'],
+    inline_attachment_media: ['Content & Social', 'Show uploaded media'],
+    gif_auto_play: ['Content & Social', 'Automatically play GIFs'],
+    animate_emoji: ['Content & Social', 'Play animated emoji'],
+    animate_stickers: ['Content & Social', 'Sticker animation'],
+    convert_emoticons: ['Content & Social', 'Convert emoticons to emoji'],
+    enable_tts_command: ['Content & Social', 'Allow /tts command'],
+    message_display_compact: ['Content & Social', 'Compact message display'],
+    view_nsfw_guilds: ['Content & Social', 'Show age-restricted servers'],
+    native_phone_integration_enabled: ['Content & Social', 'Native phone integration'],
+    // Appearance & locale
+    locale: ['Appearance & Language', 'Language'],
+    theme: ['Appearance & Language', 'Theme'],
+    timezone_offset: ['Appearance & Language', 'Time zone offset (minutes)'],
+    developer_mode: ['Appearance & Language', 'Developer mode'],
+    disable_games_tab: ['Appearance & Language', 'Hide games tab'],
+    // Status
+    status: ['Status', 'Online status'],
+    custom_status: ['Status', 'Custom status'],
+    afk_timeout: ['Status', 'AFK timeout (seconds)'],
+    // Servers
+    guild_positions: ['Servers', 'Server order'],
+    guild_folders: ['Servers', 'Server folders']
+};
+
+const EXPLICIT_CONTENT_FILTER = {
+    0: 'Off',
+    1: 'From non-friends',
+    2: 'From everyone'
+};
+
+const MESSAGE_NOTIFICATIONS = {
+    0: 'All messages',
+    1: 'Only @mentions',
+    2: 'Nothing',
+    3: 'Server default'
+};
+
+// Values as readable text: booleans as Yes/No, lists and objects as JSON
+function formatSettingValue(key, value) {
+    if (key === 'explicit_content_filter' && value in EXPLICIT_CONTENT_FILTER) return EXPLICIT_CONTENT_FILTER[value];
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (value === null || value === undefined || value === '') return '—';
+    if (Array.isArray(value)) return value.length ? value.map(v => typeof v === 'object' ? JSON.stringify(v) : String(v)).join(', ') : '—';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+// Group the settings of user.json. Newer exports nest the actual values in
+// settings.settings next to encoded blobs such as "frecency".
+function parseSettings(raw) {
+    let settings = raw || {};
+    // Newer exports nest the settings under "settings" next to other keys
+    // (frecency etc.), which are kept as well
+    if (typeof settings.settings === 'object' && settings.settings !== null) {
+        const { settings: nested, ...rest } = settings;
+        settings = { ...rest, ...nested };
+    }
+    const groups = new Map();
+    for (const [key, value] of Object.entries(settings)) {
+        const [group, label] = SETTING_LABELS[key] || ['Other', key];
+        if (!groups.has(group)) groups.set(group, []);
+        groups.get(group).push({ key, label, value: formatSettingValue(key, value) });
+    }
+    // Unlabelled keys come last
+    const other = groups.get('Other');
+    if (other) {
+        groups.delete('Other');
+        groups.set('Other', other);
+    }
+    return groups;
+}
+
+// Normalize connected_accounts (Steam, GitHub, Spotify, …)
+function parseConnections(list) {
+    if (!Array.isArray(list)) return [];
+    return list.map(c => ({
+        type: c.type || 'unknown',
+        id: c.id,
+        name: c.name || c.id || '',
+        verified: !!c.verified,
+        revoked: !!c.revoked,
+        visible: c.visibility === 1,
+        showActivity: !!c.show_activity,
+        friendSync: !!c.friend_sync
+    })).sort((a, b) => a.type.localeCompare(b.type));
+}
+
+// Per-server notification settings with the server name from Servers/index.json
+function parseGuildSettings(list, servers) {
+    if (!Array.isArray(list)) return [];
+    const names = new Map(servers.map(s => [s.id, s.name]));
+    return list.map(g => {
+        const id = g.guild_id ?? null;
+        return {
+            id,
+            name: id === null ? 'Direct messages' : names.get(id) || `Unknown server (${id})`,
+            muted: !!g.muted,
+            notifications: MESSAGE_NOTIFICATIONS[g.message_notifications] ?? String(g.message_notifications ?? '—'),
+            suppressEveryone: !!g.suppress_everyone,
+            suppressRoles: !!g.suppress_roles,
+            mobilePush: g.mobile_push !== false,
+            overrides: Array.isArray(g.channel_overrides) ? g.channel_overrides.length : 0
+        };
+    }).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Payment status codes used in user.json
+const PAYMENT_STATUS = {
+    0: 'Pending',
+    1: 'Completed',
+    2: 'Failed',
+    3: 'Reversed',
+    4: 'Refunded',
+    5: 'Canceled'
+};
+
+// Entitlement types that represent a Nitro subscription
+const NITRO_ENTITLEMENT_TYPES = [2, 7];
+
+// Normalize payments, payment sources, entitlements and gifts from user.json
+export function parseBilling(user) {
+    const payments = (Array.isArray(user.payments) ? user.payments : []).map(p => ({
+        id: p.id,
+        date: p.created_at || null,
+        description: p.description || p.sku_name || p.sku_id || '',
+        skuId: p.sku_id || null,
+        currency: String(p.currency || '').toUpperCase(),
+        amount: Number(p.amount) || 0,
+        refunded: Number(p.amount_refunded) || 0,
+        tax: Number(p.tax) || 0,
+        status: PAYMENT_STATUS[p.status] ?? `Status ${p.status}`,
+        source: p.payment_source ? parseSource(p.payment_source) : null
+    })).sort((a, b) => String(b.date).localeCompare(String(a.date)));
+    const sources = (Array.isArray(user.payment_sources) ? user.payment_sources : []).map(parseSource);
+    const now = Date.now();
+    const entitlements = (Array.isArray(user.entitlements) ? user.entitlements : []).map(e => ({
+        id: e.id,
+        name: e.sku_name || e.subscription_plan?.name || e.sku_id || '',
+        type: e.type,
+        startsAt: e.starts_at || null,
+        endsAt: e.ends_at || null,
+        nitro: NITRO_ENTITLEMENT_TYPES.includes(e.type) || /nitro/i.test(e.sku_name || e.subscription_plan?.name || ''),
+        active: !e.deleted && !e.consumed && (!e.ends_at || new Date(e.ends_at).getTime() > now)
+    }));
+    const gifts = Array.isArray(user.gifts) ? user.gifts : [];
+    return { payments, sources, entitlements, gifts };
+}
+
+// Normalize a payment source; card digits are kept as stored
+function parseSource(s) {
+    return {
+        name: s.brand || s.email || (s.type !== undefined ? `Type ${s.type}` : 'Payment source'),
+        last4: s.last_4 ? String(s.last_4) : null,
+        expiry: s.expires_month && s.expires_year ? `${s.expires_month}/${s.expires_year}` : null
     };
 }
 
-// Load the list of applications associated with the account
-async function parseApplications(zip) {
-    const appsFolder = zip.folder('Account/applications');
-    if (!appsFolder) return [];
-    const result = [];
-    // Each subfolder corresponds to an application ID
-    appsFolder.forEach(async (relativePath, file) => {
-        // We only care about application.json files
-        if (!file.dir && relativePath.endsWith('application.json')) {
-            const json = await readJson(zip, `Account/applications/${relativePath}`);
-            result.push({
-                id: json.id,
-                name: json.name,
-                description: json.description
-            });
+// "visa •••• 4242 (exp. 1/2030)" style label for a parsed payment source.
+// With redact set the card number and expiry are hidden.
+export function formatSource(source, { redact = false } = {}) {
+    if (redact) return source.last4 ? `${source.name} •••• ••••` : source.name;
+    const last4 = source.last4 ? ` •••• ${source.last4}` : '';
+    const expiry = source.expiry ? ` (exp. ${source.expiry})` : '';
+    return `${source.name}${last4}${expiry}`;
+}
+
+// Normalize the relationships list (friends, blocked users and requests)
+function parseRelationships(list) {
+    if (!Array.isArray(list)) return [];
+    return list.map(r => ({
+        id: String(r.id ?? r.user?.id ?? ''),
+        type: r.type,
+        nickname: r.nickname || null,
+        username: r.user?.username || null,
+        discriminator: r.user?.discriminator || null,
+        globalName: r.user?.global_name || null
+    }));
+}
+
+// "Global Name (username)" or "username#1234" for legacy tags
+function displayName(r) {
+    const tag = r.username
+        ? (r.discriminator && r.discriminator !== '0' ? `${r.username}#${r.discriminator}` : r.username)
+        : r.id;
+    return r.globalName && r.globalName !== r.username ? `${r.globalName} (${tag})` : tag;
+}
+
+// Map user IDs (and lowercased usernames, for exports without recipient
+// IDs) to the directory of their one-to-one DM channel
+async function findDmChannels(zip, ownId) {
+    const byId = new Map();
+    const byName = new Map();
+    for (const dir of listChannelDirs(zip)) {
+        const info = await readChannelInfo(zip, dir);
+        if (!info.is_dm || info.is_group) continue;
+        for (const r of info.recipients) {
+            if (r.id && r.id !== String(ownId)) byId.set(String(r.id), dir);
         }
+        if (info.name) byName.set(info.name.toLowerCase(), dir);
+    }
+    return { byId, byName };
+}
+
+// Application flag bits (see Discord's developer documentation)
+const APPLICATION_FLAGS = {
+    6: 'Auto moderation rule badge',
+    12: 'Presence intent',
+    13: 'Presence intent (limited)',
+    14: 'Server members intent',
+    15: 'Server members intent (limited)',
+    16: 'Verification pending (server limit)',
+    17: 'Embedded',
+    18: 'Message content intent',
+    19: 'Message content intent (limited)',
+    23: 'Application command badge'
+};
+
+// Keys whose values must never be shown, at any depth
+const SECRET_KEY = /token|secret|password|private_key/i;
+
+// Copy of a parsed JSON value with every secret replaced by a placeholder.
+// Returns the copy and the number of masked values.
+function maskSecrets(value) {
+    let masked = 0;
+    // Everything below a secret key is hidden, keeping the structure
+    const hide = (v) => {
+        if (Array.isArray(v)) return v.map(hide);
+        if (v && typeof v === 'object') {
+            return Object.fromEntries(Object.entries(v).map(([key, inner]) => [key, hide(inner)]));
+        }
+        if (v === null || v === '') return v;
+        masked++;
+        return '•••••••• (hidden)';
+    };
+    const walk = (v) => {
+        if (Array.isArray(v)) return v.map(walk);
+        if (v && typeof v === 'object') {
+            const copy = {};
+            for (const [key, inner] of Object.entries(v)) {
+                copy[key] = SECRET_KEY.test(key) ? hide(inner) : walk(inner);
+            }
+            return copy;
+        }
+        return v;
+    };
+    return { value: walk(value), masked };
+}
+
+function applicationFlags(flags) {
+    const value = Number(flags) || 0;
+    return Object.entries(APPLICATION_FLAGS)
+        .filter(([bit]) => value & (1 << Number(bit)))
+        .map(([, name]) => name);
+}
+
+// Read every Account/applications/<id>/application.json. Folders without a
+// readable application.json are still listed, with the error.
+export async function parseApplications(zip) {
+    const ids = new Set();
+    zip.forEach((relativePath) => {
+        const match = relativePath.match(/^Account\/applications\/([^/]+)\//);
+        if (match) ids.add(match[1]);
     });
-    return result;
+    const apps = await Promise.all(Array.from(ids).map(async (id) => {
+        const folder = `Account/applications/${id}`;
+        const iconPath = Object.keys(zip.files)
+            .find(path => path.startsWith(`${folder}/`) && /\/icon\.(png|jpe?g|gif|webp)$/i.test(path));
+        const icon = iconPath ? await fileToDataUri(zip, iconPath) : null;
+        let json;
+        try {
+            json = await readJson(zip, `${folder}/application.json`);
+        } catch (err) {
+            console.error('Could not read application', id, err);
+            return { id, name: id, icon, error: err.message };
+        }
+        const { value: app, masked } = maskSecrets(json);
+        const bot = app.bot ? {
+            id: app.bot.id,
+            name: app.bot.discriminator && app.bot.discriminator !== '0'
+                ? `${app.bot.username}#${app.bot.discriminator}`
+                : app.bot.username
+        } : null;
+        return {
+            id: app.id ?? id,
+            name: app.name || id,
+            description: app.description || '',
+            icon,
+            bot,
+            botPublic: app.bot_public ?? null,
+            botRequireCodeGrant: app.bot_require_code_grant ?? null,
+            flags: applicationFlags(app.flags),
+            owner: app.team ? `Team ${app.team.name || app.team.id}` : app.owner?.username || app.owner?.id || null,
+            createdAt: snowflakeToDate(app.id ?? id),
+            masked,
+            raw: app
+        };
+    }));
+    return apps.sort((a, b) => a.name.localeCompare(b.name));
 }
 
 // Load recent avatar thumbnails
-async function parseRecentAvatars(zip) {
+export async function parseRecentAvatars(zip) {
     const folder = zip.folder('Account/recent_avatars');
     const avatars = [];
     if (!folder) return avatars;
@@ -79,15 +406,230 @@ async function parseRecentAvatars(zip) {
     return avatars;
 }
 
+// Build a table with a header row from rows of cells: texts, or nodes
+// such as links. Shared by the sections that list records in tables.
+export function simpleTable(headers, rows) {
+    const table = document.createElement('table');
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    headers.forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headRow.appendChild(th);
+    });
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+    const tbody = document.createElement('tbody');
+    for (const row of rows) {
+        const tr = document.createElement('tr');
+        row.forEach(cell => {
+            const td = document.createElement('td');
+            if (cell instanceof Node) td.appendChild(cell);
+            else td.textContent = cell ?? '';
+            td.style.wordBreak = 'break-word';
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+    return table;
+}
+
+// Connections, settings and per-server notification settings
+function renderPreferences(user, servers) {
+    const card = document.createElement('div');
+    card.className = 'card';
+    const heading = document.createElement('h2');
+    heading.textContent = 'Connections & Settings';
+    card.appendChild(heading);
+    const addHeading = (text) => {
+        const h3 = document.createElement('h3');
+        h3.textContent = text;
+        card.appendChild(h3);
+    };
+    const yesNo = (value) => value ? 'Yes' : 'No';
+
+    if (user.connections.length) {
+        addHeading(`Connected Accounts (${user.connections.length})`);
+        card.appendChild(simpleTable(['Service', 'Account', 'Verified', 'Shown on profile', 'Show activity', 'Status'], user.connections.map(c => [
+            c.type, c.name, yesNo(c.verified), yesNo(c.visible), yesNo(c.showActivity), c.revoked ? 'Revoked' : 'Active'
+        ])));
+    }
+
+    for (const [group, entries] of user.settings) {
+        const details = document.createElement('details');
+        details.open = group !== 'Other';
+        const summary = document.createElement('summary');
+        summary.textContent = `Settings: ${group} (${entries.length})`;
+        details.appendChild(summary);
+        const table = simpleTable(['Setting', 'Value'], entries.map(e => [e.label, e.value]));
+        // Keep the raw key at hand for labelled settings
+        table.querySelectorAll('tbody tr').forEach((tr, i) => {
+            tr.title = entries[i].key;
+        });
+        table.querySelectorAll('td:last-child').forEach(td => {
+            td.style.wordBreak = 'break-word';
+        });
+        details.appendChild(table);
+        card.appendChild(details);
+    }
+
+    const guildSettings = parseGuildSettings(user.guildSettings, servers);
+    if (guildSettings.length) {
+        addHeading(`Server Notification Settings (${guildSettings.length})`);
+        card.appendChild(simpleTable(['Server', 'Muted', 'Notifications', 'Suppress @everyone', 'Suppress roles', 'Mobile push', 'Channel overrides'], guildSettings.map(g => [
+            g.name, yesNo(g.muted), g.notifications, yesNo(g.suppressEveryone), yesNo(g.suppressRoles), yesNo(g.mobilePush), String(g.overrides)
+        ])));
+    }
+    return card;
+}
+
+// One entry of the Connected Applications list
+function renderApplication(app) {
+    const li = document.createElement('li');
+    li.style.display = 'flex';
+    li.style.gap = '0.75rem';
+    li.style.alignItems = 'flex-start';
+    li.style.marginBottom = '0.75rem';
+    if (app.icon) {
+        const img = document.createElement('img');
+        img.src = app.icon;
+        img.alt = `${app.name} icon`;
+        img.style.width = '48px';
+        img.style.height = '48px';
+        img.style.borderRadius = '8px';
+        li.appendChild(img);
+    }
+    const body = document.createElement('div');
+    const strong = document.createElement('strong');
+    strong.textContent = app.name;
+    body.appendChild(strong);
+    if (app.description) {
+        body.appendChild(document.createTextNode(` – ${app.description}`));
+    }
+    if (app.error) {
+        const error = document.createElement('p');
+        error.textContent = 'Could not read application.json: ' + app.error;
+        body.appendChild(error);
+        li.appendChild(body);
+        return li;
+    }
+    const details = [
+        `ID ${app.id}`,
+        app.createdAt ? `created ${dateFormatter({ dateStyle: 'medium' }).format(app.createdAt)}` : null,
+        app.owner ? `owner ${app.owner}` : null,
+        app.bot ? `bot ${app.bot.name}${app.botPublic === false ? ' (private)' : ''}` : 'no bot user',
+        app.flags.length ? `flags: ${app.flags.join(', ')}` : null
+    ].filter(Boolean);
+    const meta = document.createElement('div');
+    meta.style.fontSize = '0.9rem';
+    meta.style.color = '#555';
+    meta.textContent = details.join(' · ');
+    body.appendChild(meta);
+    const raw = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = app.masked
+        ? `application.json (${app.masked} secret value${app.masked === 1 ? '' : 's'} hidden)`
+        : 'application.json';
+    raw.appendChild(summary);
+    const pre = document.createElement('pre');
+    pre.style.whiteSpace = 'pre-wrap';
+    pre.style.wordBreak = 'break-all';
+    pre.textContent = JSON.stringify(app.raw, null, 2);
+    raw.appendChild(pre);
+    body.appendChild(raw);
+    li.appendChild(body);
+    return li;
+}
+
+// Relationships panel: counts, a search box and one list per type. Friends
+// link to their DM channel once the channel list has been read.
+function renderRelationships(zip, user) {
+    const card = document.createElement('div');
+    card.className = 'card';
+    const heading = document.createElement('h2');
+    heading.textContent = 'Relationships';
+    card.appendChild(heading);
+
+    const counts = document.createElement('p');
+    const byType = new Map();
+    for (const r of user.relationships) {
+        if (!byType.has(r.type)) byType.set(r.type, []);
+        byType.get(r.type).push(r);
+    }
+    counts.textContent = Array.from(byType.entries())
+        .map(([type, list]) => `${RELATIONSHIP_TYPES[type] || `Type ${type}`}: ${list.length}`)
+        .join(' · ');
+    card.appendChild(counts);
+
+    const searchInput = document.createElement('input');
+    searchInput.type = 'search';
+    searchInput.placeholder = 'Search by name, nickname or ID';
+    searchInput.style.width = '100%';
+    searchInput.style.maxWidth = '400px';
+    card.appendChild(searchInput);
+
+    const lists = document.createElement('div');
+    card.appendChild(lists);
+
+    let dmChannels = null;
+    const update = () => {
+        const term = searchInput.value.trim().toLowerCase();
+        lists.innerHTML = '';
+        for (const [type, list] of byType.entries()) {
+            const matches = list.filter(r => !term || [r.id, r.username, r.globalName, r.nickname]
+                .some(v => v && v.toLowerCase().includes(term)));
+            const details = document.createElement('details');
+            details.open = type === 1 || !!term;
+            const summary = document.createElement('summary');
+            summary.textContent = `${RELATIONSHIP_TYPES[type] || `Type ${type}`} (${matches.length})`;
+            details.appendChild(summary);
+            const ul = document.createElement('ul');
+            for (const r of matches.sort((a, b) => displayName(a).localeCompare(displayName(b)))) {
+                const li = document.createElement('li');
+                li.textContent = displayName(r) + (r.nickname ? ` – nickname "${r.nickname}"` : '') + ` – ID ${r.id}`;
+                const dir = dmChannels && (dmChannels.byId.get(r.id) || (r.username && dmChannels.byName.get(r.username.toLowerCase())));
+                if (dir) {
+                    const link = document.createElement('a');
+                    link.href = '#';
+                    link.textContent = ' 💬 Open DM';
+                    link.addEventListener('click', (e) => {
+                        e.preventDefault();
+                        document.dispatchEvent(new CustomEvent('navigate', { detail: { section: 'messages', channel: dir } }));
+                    });
+                    li.appendChild(link);
+                }
+                ul.appendChild(li);
+            }
+            details.appendChild(ul);
+            lists.appendChild(details);
+        }
+    };
+    searchInput.addEventListener('input', update);
+    update();
+
+    findDmChannels(zip, user.id)
+        .then(found => {
+            dmChannels = found;
+            update();
+        })
+        .catch(err => console.error('Could not match DM channels', err));
+    return card;
+}
+
 // Render the account page
 export async function render(zip, container) {
     container.innerHTML = '';
     try {
-        const [user, avatarUri, recentAvatars, applications] = await Promise.all([
+        const [user, avatarUri, recentAvatars, applications, servers] = await Promise.all([
             parseUser(zip),
             fileToDataUri(zip, 'Account/avatar.png'),
             parseRecentAvatars(zip),
-            parseApplications(zip)
+            parseApplications(zip),
+            parseServerIndex(zip).catch(err => {
+                console.error('Could not read the server index', err);
+                return [];
+            })
         ]);
         // Create elements
         const section = document.createElement('div');
@@ -123,7 +665,8 @@ export async function render(zip, container) {
         if (user.globalName) addRow('Global Name', user.globalName);
         addRow('Email', user.email);
         addRow('Phone', user.phone || '—');
-        addRow('Premium Until', user.premiumUntil || '—');
+        const premiumUntil = parseTimestamp(user.premiumUntil);
+        addRow('Premium Until', premiumUntil ? formatDateTime(premiumUntil) : user.premiumUntil || '—');
         addRow('Verified', user.verified ? 'Yes' : 'No');
         addRow('Flags', Array.isArray(user.flags) ? user.flags.join(', ') : '—');
         table.appendChild(tbody);
@@ -152,22 +695,21 @@ export async function render(zip, container) {
         // Applications
         if (applications.length) {
             const appHeading = document.createElement('h3');
-            appHeading.textContent = 'Connected Applications';
+            appHeading.textContent = `Connected Applications (${applications.length})`;
             section.appendChild(appHeading);
             const list = document.createElement('ul');
-            applications.forEach(app => {
-                const li = document.createElement('li');
-                const strong = document.createElement('strong');
-                strong.textContent = app.name;
-                li.appendChild(strong);
-                if (app.description) {
-                    li.appendChild(document.createTextNode(` – ${app.description}`));
-                }
-                list.appendChild(li);
-            });
+            list.style.listStyle = 'none';
+            list.style.paddingLeft = '0';
+            applications.forEach(app => list.appendChild(renderApplication(app)));
             section.appendChild(list);
         }
         container.appendChild(section);
+        if (user.relationships.length) {
+            container.appendChild(renderRelationships(zip, user));
+        }
+        if (user.connections.length || user.settings.size || user.guildSettings.length) {
+            container.appendChild(renderPreferences(user, servers));
+        }
     } catch (err) {
         console.error('Account rendering error', err);
         const errorP = document.createElement('p');
@@ -187,6 +729,43 @@ export async function test(zip) {
     } catch (err) {
         results.push({ name: 'parseUser throws exception', passed: false });
     }
+    const relationships = parseRelationships([
+        { id: '1', type: 1, nickname: 'Bud', user: { id: '1', username: 'friend', discriminator: '0', global_name: 'Friendly' } },
+        { id: '2', type: 2, user: { id: '2', username: 'legacy', discriminator: '1234' } }
+    ]);
+    results.push({
+        name: 'parseRelationships keeps names and types',
+        passed: relationships.length === 2 && displayName(relationships[0]) === 'Friendly (friend)' && displayName(relationships[1]) === 'legacy#1234'
+    });
+    const settings = parseSettings({ settings: { theme: 'dark', some_new_key: 1 }, frecency: 'AAAA' });
+    results.push({
+        name: 'parseSettings labels known keys and keeps unknown ones',
+        passed: settings.get('Appearance & Language')?.[0].label === 'Theme' &&
+            settings.get('Other')?.map(e => e.label).sort().join() === 'frecency,some_new_key'
+    });
+    const guildSettings = parseGuildSettings([{ guild_id: '1', message_notifications: 1 }, { guild_id: '2' }], [{ id: '1', name: 'Home' }]);
+    results.push({
+        name: 'parseGuildSettings resolves server names',
+        passed: guildSettings[0].name === 'Home' && guildSettings[0].notifications === 'Only @mentions' && guildSettings[1].name === 'Unknown server (2)'
+    });
+    try {
+        const folders = new Set();
+        zip.forEach((relativePath) => {
+            const match = relativePath.match(/^Account\/applications\/([^/]+)\//);
+            if (match) folders.add(match[1]);
+        });
+        const applications = await parseApplications(zip);
+        results.push({ name: 'parseApplications lists every application folder', passed: applications.length === folders.size });
+        const leaked = applications.some(app => /"(token|secret)"\s*:\s*"(?!•)/.test(JSON.stringify(app.raw || {})));
+        results.push({ name: 'application tokens and secrets are masked', passed: !leaked });
+    } catch (err) {
+        results.push({ name: 'parseApplications throws exception', passed: false });
+    }
+    const nested = maskSecrets({ name: 'app', bot: { token: { value: 'abc', parts: ['x', 'y'] } }, client_secret: ['s1'] });
+    results.push({
+        name: 'maskSecrets hides values nested below secret keys',
+        passed: nested.masked === 4 && !/abc|"x"|s1/.test(JSON.stringify(nested.value)) && nested.value.name === 'app'
+    });
     // Test avatar file exists
     const hasAvatar = !!zip.file('Account/avatar.png');
     results.push({ name: 'avatar.png exists', passed: hasAvatar });
@@ -0,0 +1,362 @@
+// activity.js
+// Module for the Activity folder of a Discord data export. The folders
+// Activity/analytics, Activity/reporting and Activity/tns hold newline
+// delimited JSON files that often run to hundreds of MB, so they are read
+// as a stream of chunks and tallied line by line instead of being loaded
+// into a single string.
+//  - render(zip, container): scans the event files and shows the summary.
+//  - test(zip): runs simple unit tests on the parsing logic.
+
+/* global JSZip */
+
+import { streamText } from './messages.js';
+import { barChart, rankingList } from './charts.js';
+import { dayKey, formatDateTime } from './time.js';
+
+export const section = {
+    id: 'activity',
+    label: 'Activity',
+    order: 70,
+    paths: [/^Activity\//i]
+};
+
+// Maximum number of raw events kept when drilling into one event type
+const RAW_EVENT_LIMIT = 200;
+
+// Scan results per loaded ZIP, so switching sections does not rescan
+const summaries = new WeakMap();
+
+// Events are counted per quarter hour, the finest step of any UTC offset,
+// so months can be regrouped for another time zone without a rescan
+const QUARTER_HOUR = 15 * 60 * 1000;
+
+// List the event files below Activity/, e.g. Activity/analytics/events-2023-00000-of-00001.json
+export function listActivityFiles(zip) {
+    const files = [];
+    zip.forEach((relativePath, file) => {
+        if (!file.dir && /^Activity\/[^/]+\/.+\.json$/i.test(relativePath)) {
+            files.push(relativePath);
+        }
+    });
+    return files.sort();
+}
+
+// Feed the file to onLine one line at a time. The file is decompressed in
+// chunks; a partial line at the end of a chunk is kept until the next one.
+// Returning false from onLine stops reading early.
+async function streamLines(file, onLine, onProgress) {
+    let rest = '';
+    let stopped = false;
+    await streamText(file, (chunk, meta) => {
+        const lines = (rest + chunk).split('\n');
+        rest = lines.pop();
+        for (const line of lines) {
+            if (line.trim() && onLine(line) === false) {
+                stopped = true;
+                return false;
+            }
+        }
+        if (onProgress) onProgress(meta.percent);
+    });
+    if (!stopped && rest.trim()) onLine(rest);
+}
+
+// Timestamps in the event files are often JSON strings wrapped in an extra
+// pair of quotes ("\"2023-01-01T10:00:00.000Z\"").
+function parseTimestamp(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(String(value).replace(/^"+|"+$/g, ''));
+    return isNaN(date) ? null : date;
+}
+
+// Parse one line of an event file into the fields we tally
+export function parseEventLine(line) {
+    const event = JSON.parse(line);
+    const date = parseTimestamp(event.timestamp ?? event.client_send_timestamp);
+    const city = event.city || null;
+    const country = event.country_code || null;
+    return {
+        type: event.event_type || 'unknown',
+        date,
+        os: event.os || null,
+        device: event.device || null,
+        browser: event.browser || null,
+        location: city || country ? [city, country].filter(Boolean).join(', ') : null,
+        raw: event
+    };
+}
+
+function increment(map, key, by = 1) {
+    if (key === null || key === undefined) return;
+    map.set(key, (map.get(key) || 0) + by);
+}
+
+function top(map, limit = 20) {
+    return Array.from(map.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([label, value]) => ({ label, value }));
+}
+
+// Tally every event file. onProgress receives (path, percent) while reading.
+async function summarize(zip, onProgress) {
+    const summary = {
+        files: [],
+        total: 0,
+        malformed: 0,
+        types: new Map(),
+        quarterHours: new Map(),
+        os: new Map(),
+        devices: new Map(),
+        browsers: new Map(),
+        locations: new Map()
+    };
+    for (const path of listActivityFiles(zip)) {
+        let count = 0;
+        await streamLines(zip.file(path), (line) => {
+            let event;
+            try {
+                event = parseEventLine(line);
+            } catch (_) {
+                summary.malformed++;
+                return;
+            }
+            count++;
+            increment(summary.types, event.type);
+            if (event.date) increment(summary.quarterHours, Math.floor(event.date.getTime() / QUARTER_HOUR));
+            increment(summary.os, event.os);
+            increment(summary.devices, event.device);
+            increment(summary.browsers, event.browser);
+            increment(summary.locations, event.location);
+        }, (percent) => onProgress?.(path, percent));
+        summary.total += count;
+        summary.files.push({ path, events: count });
+    }
+    return summary;
+}
+
+// Events per month ("YYYY-MM") in the chosen time zone, oldest first
+function eventsPerMonth(quarterHours, timeZone) {
+    const months = new Map();
+    for (const [quarter, count] of quarterHours) {
+        increment(months, dayKey(new Date(quarter * QUARTER_HOUR), timeZone).slice(0, 7), count);
+    }
+    return Array.from(months.entries())
+        .sort((a, b) => a[0].localeCompare(b[0]))
+        .map(([label, value]) => ({ label, value }));
+}
+
+// Collect up to `limit` raw events of one type by streaming the files again
+async function findEvents(zip, type, limit = RAW_EVENT_LIMIT) {
+    const found = [];
+    const needle = JSON.stringify(type);
+    for (const path of listActivityFiles(zip)) {
+        if (found.length >= limit) break;
+        await streamLines(zip.file(path), (line) => {
+            if (found.length >= limit) return false;
+            // Cheap pre-check before parsing every line of a huge file
+            if (!line.includes(needle)) return;
+            try {
+                const event = parseEventLine(line);
+                if (event.type === type) found.push(event.raw);
+            } catch (_) {
+                // Malformed lines are counted by summarize()
+            }
+        });
+    }
+    return found;
+}
+
+function renderRanking(title, map) {
+    const card = document.createElement('div');
+    card.className = 'card';
+    const heading = document.createElement('h3');
+    heading.textContent = `${title} (${map.size})`;
+    card.appendChild(heading);
+    if (map.size) {
+        card.appendChild(rankingList(top(map)));
+    } else {
+        const none = document.createElement('p');
+        none.textContent = 'None recorded.';
+        card.appendChild(none);
+    }
+    return card;
+}
+
+function renderDrillDown(zip, summary) {
+    const card = document.createElement('div');
+    card.className = 'card';
+    const heading = document.createElement('h3');
+    heading.textContent = 'Raw Events';
+    card.appendChild(heading);
+
+    const select = document.createElement('select');
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Choose an event type…';
+    select.appendChild(placeholder);
+    for (const { label, value } of top(summary.types, Infinity)) {
+        const option = document.createElement('option');
+        option.value = label;
+        option.textContent = `${label} (${value})`;
+        select.appendChild(option);
+    }
+    card.appendChild(select);
+
+    const output = document.createElement('div');
+    card.appendChild(output);
+    select.addEventListener('change', async () => {
+        const type = select.value;
+        output.innerHTML = '';
+        if (!type) return;
+        output.textContent = 'Searching events…';
+        const events = await findEvents(zip, type);
+        output.innerHTML = '';
+        const info = document.createElement('p');
+        info.textContent = `Showing ${events.length} of ${summary.types.get(type)} "${type}" events.`;
+        output.appendChild(info);
+        for (const event of events) {
+            const details = document.createElement('details');
+            const eventSummary = document.createElement('summary');
+            const date = parseTimestamp(event.timestamp);
+            eventSummary.textContent = date ? formatDateTime(date) : event.event_id || type;
+            if (date) eventSummary.title = event.timestamp;
+            details.appendChild(eventSummary);
+            const pre = document.createElement('pre');
+            pre.style.whiteSpace = 'pre-wrap';
+            pre.style.wordBreak = 'break-word';
+            pre.textContent = JSON.stringify(event, null, 2);
+            details.appendChild(pre);
+            output.appendChild(details);
+        }
+    });
+    return card;
+}
+
+// Render the activity page
+export async function render(zip, container) {
+    container.innerHTML = '';
+    const status = document.createElement('p');
+    status.className = 'card';
+    container.appendChild(status);
+
+    const files = listActivityFiles(zip);
+    if (!files.length) {
+        status.textContent = 'No activity event files in this export.';
+        return;
+    }
+
+    let summary;
+    try {
+        if (!summaries.has(zip)) {
+            summaries.set(zip, summarize(zip, (path, percent) => {
+                status.textContent = `Reading ${path} (${Math.floor(percent)}%)…`;
+            }));
+        } else {
+            status.textContent = 'Reading activity files…';
+        }
+        summary = await summaries.get(zip);
+    } catch (err) {
+        summaries.delete(zip);
+        console.error('Activity rendering error', err);
+        status.textContent = 'Error reading activity data: ' + err.message;
+        return;
+    }
+    // The section was left (or rendered again) while the files were read
+    if (!container.contains(status)) return;
+
+    status.textContent = `${summary.total.toLocaleString()} events in ${summary.files.length} files` +
+        (summary.malformed ? ` (${summary.malformed} malformed lines skipped)` : '') + '.';
+
+    const timeCard = document.createElement('div');
+    timeCard.className = 'card';
+    const timeHeading = document.createElement('h3');
+    timeHeading.textContent = 'Events per Month';
+    timeCard.appendChild(timeHeading);
+    timeCard.appendChild(barChart(eventsPerMonth(summary.quarterHours)));
+    container.appendChild(timeCard);
+
+    container.appendChild(renderRanking('Top Event Types', summary.types));
+    container.appendChild(renderRanking('Operating Systems', summary.os));
+    container.appendChild(renderRanking('Devices', summary.devices));
+    container.appendChild(renderRanking('Browsers / Clients', summary.browsers));
+    container.appendChild(renderRanking('Locations', summary.locations));
+    container.appendChild(renderDrillDown(zip, summary));
+
+    const fileCard = document.createElement('div');
+    fileCard.className = 'card';
+    const fileHeading = document.createElement('h3');
+    fileHeading.textContent = 'Files';
+    fileCard.appendChild(fileHeading);
+    const table = document.createElement('table');
+    const tbody = document.createElement('tbody');
+    for (const f of summary.files) {
+        const tr = document.createElement('tr');
+        const th = document.createElement('th');
+        th.textContent = f.path;
+        const td = document.createElement('td');
+        td.textContent = f.events.toLocaleString();
+        tr.appendChild(th);
+        tr.appendChild(td);
+        tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+    fileCard.appendChild(table);
+    container.appendChild(fileCard);
+}
+
+// Simple tests for the activity module
+export async function test(zip) {
+    const results = [];
+    const event = parseEventLine('{"event_type":"app_opened","timestamp":"\\"2023-01-02T03:04:05.000Z\\"","os":"Windows","city":"Berlin","country_code":"DE"}');
+    results.push({
+        name: 'parseEventLine unquotes timestamps',
+        passed: event.type === 'app_opened' && event.date?.toISOString() === '2023-01-02T03:04:05.000Z' && event.location === 'Berlin, DE'
+    });
+
+    const quarters = new Map([[new Date('2023-01-31T23:30:00Z').getTime() / QUARTER_HOUR, 2], [new Date('2023-01-15T12:00:00Z').getTime() / QUARTER_HOUR, 1]]);
+    const utcMonths = eventsPerMonth(quarters, 'UTC');
+    const berlinMonths = eventsPerMonth(quarters, 'Europe/Berlin');
+    results.push({
+        name: 'events are grouped by month in the given time zone',
+        passed: utcMonths.length === 1 && utcMonths[0].value === 3 &&
+            berlinMonths.length === 2 && berlinMonths[1].label === '2023-02' && berlinMonths[1].value === 2
+    });
+
+    // Lines split across chunk boundaries must be joined again. JSZip
+    // reads stored files in 16 KiB chunks, so 2000 lines of ~40 bytes span
+    // several chunks and most boundaries fall inside a line.
+    const lines = Array.from({ length: 2000 }, (_, i) => JSON.stringify({ event_type: `type_${i}`, n: i }));
+    const sample = new JSZip();
+    sample.file('events.json', lines.join('\n') + '\n\n');
+    const loaded = await JSZip.loadAsync(await sample.generateAsync({ type: 'uint8array', compression: 'STORE' }));
+    const types = [];
+    let chunks = 0;
+    await streamLines(loaded.file('events.json'), line => types.push(parseEventLine(line).type), () => chunks++);
+    results.push({
+        name: 'streamLines joins lines split across chunks',
+        passed: chunks > 1 && types.length === lines.length && types.every((type, i) => type === `type_${i}`)
+    });
+
+    // Stopping early resolves, and no further lines arrive afterwards
+    let seen = 0;
+    await streamLines(loaded.file('events.json'), () => ++seen < 10 ? undefined : false);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    results.push({ name: 'streamLines stops when onLine returns false', passed: seen === 10 });
+
+    const files = listActivityFiles(zip);
+    if (files.length) {
+        let first = null;
+        try {
+            // Only the first line is needed, so stop before reading the whole file
+            await streamLines(zip.file(files[0]), (line) => {
+                first = parseEventLine(line);
+                return false;
+            });
+            results.push({ name: 'streamLines reads an activity file', passed: !!first });
+        } catch (_) {
+            results.push({ name: 'streamLines reads an activity file', passed: false });
+        }
+    }
+    return results;
+}
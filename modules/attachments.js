@@ -0,0 +1,232 @@
+// attachments.js
+// Attachment inventory for the Messages folder. Every URL from the
+// Attachments field of every message is listed with its file name, type,
+// size hint, message date and channel, and the (filtered) list of URLs can
+// be downloaded as a text file. Links follow the strict offline mode from
+// offline.js, so nothing is fetched unless the user confirms it.
+//  - render(zip, container, options): options.channel limits the list to one channel.
+//  - test(zip): runs simple checks on the inventory.
+
+/* global JSZip */
+
+import { listChannelDirs, readChannelInfo, readMessages, splitAttachments, parseTimestamp } from './messages.js';
+import { createAttachmentLink } from './offline.js';
+import { downloadBlob } from './export.js';
+import { formatDateTime } from './time.js';
+
+export const section = {
+    id: 'attachments',
+    label: 'Attachments',
+    order: 50,
+    paths: [/^Messages\//i]
+};
+
+// Rows shown per page of the table
+const PAGE_SIZE = 200;
+
+// Inventory per loaded ZIP
+const inventories = new WeakMap();
+
+// Collect all attachments of the export, in channel and message order
+async function collectAttachments(zip, onProgress) {
+    const dirs = listChannelDirs(zip).sort();
+    const channels = new Map();
+    const items = [];
+    for (const [i, dir] of dirs.entries()) {
+        const info = await readChannelInfo(zip, dir);
+        channels.set(dir, info);
+        let messages = [];
+        try {
+            messages = await readMessages(zip, dir);
+        } catch (err) {
+            console.error('Attachments: could not read channel', dir, err);
+        }
+        for (const m of messages) {
+            for (const att of splitAttachments(m.attachments)) {
+                items.push({ ...att, channel: dir, messageId: m.id, timestamp: m.timestamp });
+            }
+        }
+        onProgress?.(i + 1, dirs.length);
+    }
+    return { channels, items };
+}
+
+function getInventory(zip, onProgress) {
+    if (!inventories.has(zip)) inventories.set(zip, collectAttachments(zip, onProgress));
+    return inventories.get(zip);
+}
+
+function channelLabel(info) {
+    if (!info) return 'Unknown channel';
+    return info.guild && !info.is_dm ? `#${info.name} (${info.guild})` : info.name;
+}
+
+// Render the attachments page
+export async function render(zip, container, options = {}) {
+    container.innerHTML = '';
+    const card = document.createElement('div');
+    card.className = 'card';
+    const heading = document.createElement('h2');
+    heading.textContent = 'Attachments';
+    card.appendChild(heading);
+    const status = document.createElement('p');
+    card.appendChild(status);
+    container.appendChild(card);
+
+    let inventory;
+    try {
+        inventory = await getInventory(zip, (done, total) => {
+            status.textContent = `Reading channels… ${done} of ${total}`;
+        });
+    } catch (err) {
+        inventories.delete(zip);
+        console.error('Attachments rendering error', err);
+        status.textContent = 'Error reading attachments: ' + err.message;
+        return;
+    }
+
+    const filters = document.createElement('div');
+    filters.style.display = 'flex';
+    filters.style.flexWrap = 'wrap';
+    filters.style.gap = '0.5rem';
+    filters.style.marginBottom = '0.5rem';
+
+    const channelSelect = document.createElement('select');
+    const allChannels = document.createElement('option');
+    allChannels.value = '';
+    allChannels.textContent = 'All channels';
+    channelSelect.appendChild(allChannels);
+    const withAttachments = new Set(inventory.items.map(item => item.channel));
+    Array.from(inventory.channels.entries())
+        .filter(([dir]) => withAttachments.has(dir))
+        .sort((a, b) => channelLabel(a[1]).localeCompare(channelLabel(b[1])))
+        .forEach(([dir, info]) => {
+            const option = document.createElement('option');
+            option.value = dir;
+            option.textContent = channelLabel(info);
+            channelSelect.appendChild(option);
+        });
+    if (options.channel) {
+        channelSelect.value = options.channel;
+        if (channelSelect.value !== options.channel) {
+            // The channel has no attachments, keep it selectable anyway
+            const option = document.createElement('option');
+            option.value = options.channel;
+            option.textContent = channelLabel(inventory.channels.get(options.channel));
+            channelSelect.appendChild(option);
+            channelSelect.value = options.channel;
+        }
+    }
+
+    const typeSelect = document.createElement('select');
+    ['', 'image', 'video', 'audio', 'document', 'archive', 'other'].forEach(type => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = type ? type[0].toUpperCase() + type.slice(1) : 'All types';
+        typeSelect.appendChild(option);
+    });
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'search';
+    nameInput.placeholder = 'File name';
+
+    const downloadBtn = document.createElement('button');
+    downloadBtn.textContent = '💾 Download URL list';
+
+    [channelSelect, typeSelect, nameInput, downloadBtn].forEach(el => filters.appendChild(el));
+    card.appendChild(filters);
+
+    const table = document.createElement('table');
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    ['File', 'Type', 'Size hint', 'Date', 'Channel'].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headRow.appendChild(th);
+    });
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+    const tbody = document.createElement('tbody');
+    table.appendChild(tbody);
+    card.appendChild(table);
+
+    const moreBtn = document.createElement('button');
+    moreBtn.textContent = 'Show more';
+    card.appendChild(moreBtn);
+
+    let filtered = [];
+    let shown = 0;
+
+    const showMore = () => {
+        const next = filtered.slice(shown, shown + PAGE_SIZE);
+        for (const item of next) {
+            const tr = document.createElement('tr');
+            const fileCell = document.createElement('td');
+            fileCell.style.wordBreak = 'break-all';
+            fileCell.appendChild(createAttachmentLink(item));
+            const channelCell = document.createElement('td');
+            const channelLink = document.createElement('a');
+            channelLink.href = '#';
+            channelLink.textContent = channelLabel(inventory.channels.get(item.channel));
+            channelLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                document.dispatchEvent(new CustomEvent('navigate', {
+                    detail: { section: 'messages', channel: item.channel, messageId: item.messageId }
+                }));
+            });
+            channelCell.appendChild(channelLink);
+            tr.appendChild(fileCell);
+            [item.type, item.sizeHint || '—'].forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            // Sent time in the chosen time zone, the value from the export on hover
+            const timeCell = document.createElement('td');
+            const date = parseTimestamp(item.timestamp);
+            timeCell.textContent = date ? formatDateTime(date) : item.timestamp || '';
+            timeCell.title = item.timestamp || '';
+            tr.appendChild(timeCell);
+            tr.appendChild(channelCell);
+            tbody.appendChild(tr);
+        }
+        shown += next.length;
+        moreBtn.classList.toggle('hidden', shown >= filtered.length);
+    };
+
+    const update = () => {
+        const channel = channelSelect.value;
+        const type = typeSelect.value;
+        const name = nameInput.value.trim().toLowerCase();
+        filtered = inventory.items.filter(item =>
+            (!channel || item.channel === channel) &&
+            (!type || item.type === type) &&
+            (!name || item.filename.toLowerCase().includes(name)));
+        status.textContent = `${filtered.length.toLocaleString()} of ${inventory.items.length.toLocaleString()} attachments.`;
+        tbody.innerHTML = '';
+        shown = 0;
+        showMore();
+    };
+
+    downloadBtn.addEventListener('click', () => {
+        const text = filtered.map(item => item.url).join('\n') + '\n';
+        downloadBlob(new Blob([text], { type: 'text/plain;charset=utf-8' }), 'attachment-urls.txt');
+    });
+    moreBtn.addEventListener('click', showMore);
+    [channelSelect, typeSelect].forEach(el => el.addEventListener('change', update));
+    nameInput.addEventListener('input', update);
+    update();
+}
+
+// Simple tests for the attachments module
+export async function test(zip) {
+    const results = [];
+    try {
+        const inventory = await getInventory(zip);
+        const valid = inventory.items.every(item => item.url && item.type && item.channel);
+        results.push({ name: 'attachment inventory entries are complete', passed: valid });
+    } catch (err) {
+        results.push({ name: 'attachment inventory throws exception', passed: false });
+    }
+    return results;
+}
@@ -0,0 +1,233 @@
+// billing.js
+// Billing section: payments with refunds, Nitro subscriptions, other
+// entitlements, payment sources, gifts and spending totals per year and
+// currency, from the payment lists in Account/user.json (normalized by
+// parseBilling() in account.js).
+//  - render(zip, container): shows the billing page.
+//  - test(zip): runs simple unit tests on the totals.
+
+import { parseUser, parseBilling, simpleTable, formatSource } from './account.js';
+import { parseTimestamp } from './messages.js';
+import { getSetting } from './settings.js';
+import { dayKey, formatDateTime } from './time.js';
+
+// Section registration (see registry.js). user.json is claimed by the
+// Account section, so Billing is added when it holds any billing data.
+export const section = {
+    id: 'billing',
+    label: 'Billing',
+    order: 15,
+    // A user.json that cannot be parsed leaves Billing out; the Account and
+    // Diagnostics sections report the error
+    when: async (zip) => {
+        if (!zip.file('Account/user.json')) return false;
+        try {
+            return hasBilling(await parseUser(zip));
+        } catch (err) {
+            console.error('Billing: could not read user.json', err);
+            return false;
+        }
+    },
+    // Payments per year for the statistics page
+    stats: async (zip) => {
+        if (!zip.file('Account/user.json')) return [];
+        const user = await parseUser(zip);
+        const years = new Map();
+        for (const p of user.billing.payments) {
+            const year = paymentYear(p.date);
+            years.set(year, (years.get(year) || 0) + 1);
+        }
+        if (!years.size) return [];
+        return [{
+            title: 'Payments per Year',
+            chart: 'bar',
+            data: Array.from(years.entries()).sort((a, b) => a[0].localeCompare(b[0])).map(([label, value]) => ({ label, value }))
+        }];
+    }
+};
+
+function hasBilling(user) {
+    const { payments, entitlements, sources, gifts } = user.billing;
+    return !!(payments.length || entitlements.length || sources.length || gifts.length || user.premiumUntil);
+}
+
+// Amounts are stored in minor units (cents), except for zero-decimal currencies
+function formatAmount(minor, currency) {
+    try {
+        const format = new Intl.NumberFormat(undefined, { style: 'currency', currency: currency || 'USD' });
+        const digits = format.resolvedOptions().maximumFractionDigits;
+        return format.format(minor / 10 ** digits);
+    } catch (_) {
+        return `${(minor / 100).toFixed(2)} ${currency}`;
+    }
+}
+
+// A date from user.json in the chosen time zone, or the stored value if it
+// cannot be parsed
+function formatDate(value) {
+    const date = parseTimestamp(value);
+    return date ? formatDateTime(date) : value || '—';
+}
+
+// Year of a payment in the chosen time zone
+function paymentYear(value) {
+    const date = parseTimestamp(value);
+    return date ? dayKey(date).slice(0, 4) : 'Unknown';
+}
+
+// Totals per year and currency; failed, pending and canceled payments are left out
+function billingTotals(payments) {
+    const totals = new Map();
+    for (const p of payments) {
+        if (!['Completed', 'Refunded', 'Reversed'].includes(p.status)) continue;
+        const year = paymentYear(p.date);
+        const key = `${year} ${p.currency}`;
+        if (!totals.has(key)) totals.set(key, { year, currency: p.currency, count: 0, charged: 0, refunded: 0 });
+        const t = totals.get(key);
+        t.count++;
+        t.charged += p.amount;
+        t.refunded += p.refunded;
+    }
+    return Array.from(totals.values()).sort((a, b) => b.year.localeCompare(a.year) || a.currency.localeCompare(b.currency));
+}
+
+// Billing panel: spending totals, Nitro subscriptions, payments and sources
+function renderBilling(user) {
+    const { payments, sources, entitlements, gifts } = user.billing;
+    // Card digits stay in the parsed data; redaction mode masks them here
+    const redact = getSetting('redact');
+    const card = document.createElement('div');
+    card.className = 'card';
+    const heading = document.createElement('h2');
+    heading.textContent = 'Billing';
+    card.appendChild(heading);
+    const addHeading = (text) => {
+        const h3 = document.createElement('h3');
+        h3.textContent = text;
+        card.appendChild(h3);
+    };
+
+    addHeading('Totals per Year');
+    const totals = billingTotals(payments);
+    if (totals.length) {
+        card.appendChild(simpleTable(['Year', 'Currency', 'Payments', 'Charged', 'Refunded', 'Net'], totals.map(t => [
+            t.year,
+            t.currency,
+            String(t.count),
+            formatAmount(t.charged, t.currency),
+            formatAmount(t.refunded, t.currency),
+            formatAmount(t.charged - t.refunded, t.currency)
+        ])));
+    } else {
+        const none = document.createElement('p');
+        none.textContent = 'No completed payments.';
+        card.appendChild(none);
+    }
+
+    addHeading('Nitro Subscriptions');
+    const nitro = entitlements.filter(e => e.nitro);
+    const premium = document.createElement('p');
+    premium.textContent = `Premium until: ${formatDate(user.premiumUntil)}`;
+    card.appendChild(premium);
+    if (nitro.length) {
+        card.appendChild(simpleTable(['Subscription', 'Started', 'Ends', 'Status'], nitro.map(e => [
+            e.name, formatDate(e.startsAt), formatDate(e.endsAt), e.active ? 'Active' : 'Ended'
+        ])));
+    }
+
+    if (payments.length) {
+        addHeading(`Payments (${payments.length})`);
+        card.appendChild(simpleTable(['Date', 'Description', 'Amount', 'Refunded', 'Status', 'Paid with'], payments.map(p => [
+            formatDate(p.date),
+            p.description,
+            formatAmount(p.amount, p.currency),
+            p.refunded ? formatAmount(p.refunded, p.currency) : '—',
+            p.status,
+            p.source ? formatSource(p.source, { redact }) : '—'
+        ])));
+    }
+
+    const other = entitlements.filter(e => !e.nitro);
+    if (other.length) {
+        addHeading(`Other Entitlements (${other.length})`);
+        card.appendChild(simpleTable(['Item', 'Type', 'Started', 'Ends', 'Status'], other.map(e => [
+            e.name, String(e.type ?? ''), formatDate(e.startsAt), formatDate(e.endsAt), e.active ? 'Active' : 'Ended'
+        ])));
+    }
+
+    if (sources.length) {
+        addHeading('Payment Sources');
+        const ul = document.createElement('ul');
+        sources.forEach(source => {
+            const li = document.createElement('li');
+            li.textContent = formatSource(source, { redact });
+            ul.appendChild(li);
+        });
+        card.appendChild(ul);
+    }
+
+    if (gifts.length) {
+        addHeading(`Gifts (${gifts.length})`);
+        card.appendChild(simpleTable(['SKU', 'Uses', 'Created', 'Expires'], gifts.map(g => [
+            g.sku_id || g.store_listing?.sku?.name || '',
+            g.uses !== undefined ? `${g.uses}/${g.max_uses ?? '∞'}` : '',
+            formatDate(g.created_at),
+            formatDate(g.expires_at)
+        ])));
+    }
+    return card;
+}
+
+// Render the billing page
+export async function render(zip, container) {
+    container.innerHTML = '';
+    try {
+        const user = await parseUser(zip);
+        if (!hasBilling(user)) {
+            const none = document.createElement('p');
+            none.textContent = 'This export has no billing data.';
+            container.appendChild(none);
+            return;
+        }
+        container.appendChild(renderBilling(user));
+    } catch (err) {
+        console.error('Billing rendering error', err);
+        const errorP = document.createElement('p');
+        errorP.textContent = 'Error loading billing data: ' + err.message;
+        container.appendChild(errorP);
+    }
+}
+
+// Simple tests for the billing module
+export async function test(zip) {
+    const results = [];
+    const totals = billingTotals(parseBilling({
+        payments: [
+            { created_at: '2022-01-15', currency: 'usd', amount: 999, amount_refunded: 0, status: 1 },
+            { created_at: '2022-02-15', currency: 'usd', amount: 999, amount_refunded: 999, status: 4 },
+            { created_at: '2022-03-15', currency: 'usd', amount: 999, status: 2 }
+        ]
+    }).payments);
+    results.push({
+        name: 'billingTotals sums completed payments per year and currency',
+        passed: totals.length === 1 && totals[0].count === 2 && totals[0].charged === 1998 && totals[0].refunded === 999
+    });
+    const { sources } = parseBilling({
+        payment_sources: [{ brand: 'visa', last_4: '4242', expires_month: 1, expires_year: 2030 }]
+    });
+    results.push({
+        name: 'payment sources keep card digits and are masked only when redacting',
+        passed: sources[0].last4 === '4242' &&
+            formatSource(sources[0]) === 'visa •••• 4242 (exp. 1/2030)' &&
+            formatSource(sources[0], { redact: true }) === 'visa •••• ••••'
+    });
+    if (zip.file('Account/user.json')) {
+        try {
+            const user = await parseUser(zip);
+            results.push({ name: 'billing data is read from user.json', passed: Array.isArray(user.billing.payments) });
+        } catch (err) {
+            results.push({ name: 'billing data is read from user.json', passed: false });
+        }
+    }
+    return results;
+}
@@ -0,0 +1,98 @@
+// calendar.js
+// Month calendar for jumping to a day of a channel. Only days that have
+// messages can be picked; the arrows skip to the previous or next month
+// with messages.
+//  - createCalendar(days, onPick, { initial }): days maps "YYYY-MM-DD" to
+//    the number of messages on that day. Returns the calendar element.
+
+import { getSetting } from './settings.js';
+
+function monthKey(day) {
+    return day.slice(0, 7);
+}
+
+// Weekday names starting on Monday, 2024-01-01 being a Monday
+function weekdayNames() {
+    const format = new Intl.DateTimeFormat(getSetting('locale') || undefined, { weekday: 'short', timeZone: 'UTC' });
+    return Array.from({ length: 7 }, (_, i) => format.format(new Date(Date.UTC(2024, 0, 1 + i))));
+}
+
+export function createCalendar(days, onPick, { initial } = {}) {
+    const months = Array.from(new Set(Array.from(days.keys()).map(monthKey))).sort();
+    let month = months.includes(monthKey(initial || '')) ? monthKey(initial) : months[months.length - 1];
+
+    const element = document.createElement('div');
+    element.className = 'calendar card';
+
+    const header = document.createElement('div');
+    header.className = 'calendar-header';
+    const prevBtn = document.createElement('button');
+    prevBtn.type = 'button';
+    prevBtn.textContent = '◀';
+    prevBtn.title = 'Previous month with messages';
+    const title = document.createElement('strong');
+    const nextBtn = document.createElement('button');
+    nextBtn.type = 'button';
+    nextBtn.textContent = '▶';
+    nextBtn.title = 'Next month with messages';
+    [prevBtn, title, nextBtn].forEach(el => header.appendChild(el));
+    element.appendChild(header);
+
+    const grid = document.createElement('div');
+    grid.className = 'calendar-grid';
+    element.appendChild(grid);
+
+    const draw = () => {
+        grid.innerHTML = '';
+        if (!month) {
+            title.textContent = 'No dated messages';
+            prevBtn.disabled = true;
+            nextBtn.disabled = true;
+            return;
+        }
+        const [year, monthNumber] = month.split('-').map(Number);
+        title.textContent = new Intl.DateTimeFormat(getSetting('locale') || undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' })
+            .format(new Date(Date.UTC(year, monthNumber - 1, 1)));
+        const index = months.indexOf(month);
+        prevBtn.disabled = index <= 0;
+        nextBtn.disabled = index >= months.length - 1;
+
+        weekdayNames().forEach(name => {
+            const cell = document.createElement('span');
+            cell.className = 'calendar-weekday';
+            cell.textContent = name;
+            grid.appendChild(cell);
+        });
+        // Empty cells up to the first day of the month (Monday first)
+        const offset = (new Date(Date.UTC(year, monthNumber - 1, 1)).getUTCDay() + 6) % 7;
+        for (let i = 0; i < offset; i++) grid.appendChild(document.createElement('span'));
+        const length = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+        for (let day = 1; day <= length; day++) {
+            const key = `${month}-${String(day).padStart(2, '0')}`;
+            const count = days.get(key);
+            const cell = document.createElement('button');
+            cell.type = 'button';
+            cell.textContent = day;
+            if (count) {
+                cell.className = 'calendar-day has-messages';
+                cell.title = `${key}: ${count.toLocaleString()} message${count === 1 ? '' : 's'}`;
+                cell.addEventListener('click', () => onPick(key));
+            } else {
+                cell.className = 'calendar-day';
+                cell.disabled = true;
+            }
+            grid.appendChild(cell);
+        }
+    };
+
+    prevBtn.addEventListener('click', () => {
+        month = months[months.indexOf(month) - 1];
+        draw();
+    });
+    nextBtn.addEventListener('click', () => {
+        month = months[months.indexOf(month) + 1];
+        draw();
+    });
+    draw();
+    return element;
+}
@@ -0,0 +1,145 @@
+// charts.js
+// Small SVG chart helpers shared by the sections that visualise counts.
+// Everything is drawn locally so no charting library or CDN is needed.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function svgElement(tag, attrs = {}) {
+    const el = document.createElementNS(SVG_NS, tag);
+    for (const [key, value] of Object.entries(attrs)) {
+        el.setAttribute(key, String(value));
+    }
+    return el;
+}
+
+// Vertical bar chart for a list of { label, value } entries. Labels are
+// shown below the bars (thinned out when there are many) and every bar has
+// a tooltip with its exact value.
+export function barChart(data, { height = 200, barColor = '#4a90e2' } = {}) {
+    const labelHeight = 40;
+    const barWidth = Math.max(4, Math.min(40, Math.floor(800 / Math.max(data.length, 1))));
+    const width = Math.max(data.length * barWidth, 100);
+    const max = Math.max(1, ...data.map(d => d.value));
+    const svg = svgElement('svg', {
+        viewBox: `0 0 ${width} ${height + labelHeight}`,
+        width: '100%',
+        height: height + labelHeight,
+        preserveAspectRatio: 'none',
+        role: 'img'
+    });
+    const labelEvery = Math.ceil(data.length / 12);
+    data.forEach((d, i) => {
+        const barHeight = Math.round((d.value / max) * height);
+        const rect = svgElement('rect', {
+            x: i * barWidth + 1,
+            y: height - barHeight,
+            width: barWidth - 2,
+            height: barHeight,
+            fill: barColor
+        });
+        const title = svgElement('title');
+        title.textContent = `${d.label}: ${d.value}`;
+        rect.appendChild(title);
+        svg.appendChild(rect);
+        if (i % labelEvery === 0) {
+            const text = svgElement('text', {
+                x: i * barWidth + barWidth / 2,
+                y: height + 14,
+                'font-size': 10,
+                'text-anchor': 'middle',
+                fill: '#555'
+            });
+            text.textContent = d.label;
+            svg.appendChild(text);
+        }
+    });
+    return svg;
+}
+
+// Horizontal bar list for "top N" style rankings. Uses plain HTML so long
+// labels wrap naturally.
+export function rankingList(data, { barColor = '#4a90e2' } = {}) {
+    const max = Math.max(1, ...data.map(d => d.value));
+    const list = document.createElement('div');
+    for (const d of data) {
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.alignItems = 'center';
+        row.style.gap = '0.5rem';
+        row.style.margin = '0.15rem 0';
+        const label = document.createElement('span');
+        label.style.width = '40%';
+        label.style.wordBreak = 'break-word';
+        label.textContent = d.label;
+        const bar = document.createElement('span');
+        bar.style.flex = '1';
+        bar.style.background = '#f1f4f8';
+        const fill = document.createElement('span');
+        fill.style.display = 'block';
+        fill.style.height = '0.8rem';
+        fill.style.width = `${(d.value / max) * 100}%`;
+        fill.style.background = barColor;
+        bar.appendChild(fill);
+        const value = document.createElement('span');
+        value.style.minWidth = '4rem';
+        value.style.textAlign = 'right';
+        value.textContent = d.value.toLocaleString();
+        row.appendChild(label);
+        row.appendChild(bar);
+        row.appendChild(value);
+        list.appendChild(row);
+    }
+    return list;
+}
+
+// Grid heatmap, e.g. weekday × hour. values[row][col] holds the counts;
+// darker cells mean higher counts.
+export function heatmap(values, { rowLabels = [], colLabels = [], color = '74, 144, 226' } = {}) {
+    const cell = 24;
+    const left = 40;
+    const topOffset = 16;
+    const rows = values.length;
+    const cols = Math.max(0, ...values.map(r => r.length));
+    const max = Math.max(1, ...values.flat());
+    const svg = svgElement('svg', {
+        viewBox: `0 0 ${left + cols * cell} ${topOffset + rows * cell}`,
+        width: '100%',
+        role: 'img'
+    });
+    colLabels.forEach((label, c) => {
+        const text = svgElement('text', {
+            x: left + c * cell + cell / 2,
+            y: 12,
+            'font-size': 9,
+            'text-anchor': 'middle',
+            fill: '#555'
+        });
+        text.textContent = label;
+        svg.appendChild(text);
+    });
+    values.forEach((row, r) => {
+        const label = svgElement('text', {
+            x: left - 4,
+            y: topOffset + r * cell + cell / 2 + 3,
+            'font-size': 10,
+            'text-anchor': 'end',
+            fill: '#555'
+        });
+        label.textContent = rowLabels[r] ?? '';
+        svg.appendChild(label);
+        row.forEach((value, c) => {
+            const rect = svgElement('rect', {
+                x: left + c * cell + 1,
+                y: topOffset + r * cell + 1,
+                width: cell - 2,
+                height: cell - 2,
+                fill: value ? `rgba(${color}, ${0.1 + 0.9 * (value / max)})` : '#f1f4f8'
+            });
+            const title = svgElement('title');
+            title.textContent = `${rowLabels[r] ?? r} ${colLabels[c] ?? c}: ${value}`;
+            rect.appendChild(title);
+            svg.appendChild(rect);
+        });
+    });
+    return svg;
+}
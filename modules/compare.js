@@ -0,0 +1,379 @@
+// compare.js
+// Compares two Discord exports of the same account, e.g. one requested a
+// year ago and a fresh one. The first loaded ZIP is the "before" export and
+// the second the "after" export (they can be swapped). The diff covers new
+// and removed servers and channels, message count changes per channel,
+// messages present in only one of the exports (by message ID), changed
+// account fields, new avatars and connected applications.
+//  - render(zip, container, options): options.other is { zip, name } of the
+//    second export and options.name the file name of the first one.
+//  - test(zip): runs simple checks on the diff logic.
+
+/* global JSZip */
+
+import { parseUser, parseApplications, parseRecentAvatars, simpleTable } from './account.js';
+import { listChannelDirs, readChannelInfo, readMessages } from './messages.js';
+import { parseServerIndex } from './servers.js';
+
+// Messages listed per channel and direction when a channel diff is opened
+const MESSAGE_LIMIT = 200;
+
+// Snapshots per loaded ZIP
+const snapshots = new WeakMap();
+
+// Account fields compared between the exports
+const ACCOUNT_FIELDS = [
+    ['username', 'Username'],
+    ['discriminator', 'Discriminator'],
+    ['globalName', 'Global name'],
+    ['email', 'Email'],
+    ['phone', 'Phone'],
+    ['verified', 'Verified'],
+    ['premiumUntil', 'Premium until'],
+    ['flags', 'Flags']
+];
+
+// Everything the diff needs from one export. Messages are reduced to their
+// IDs; the messages themselves are read again when a channel is opened.
+async function takeSnapshot(zip, onProgress) {
+    const hasAccount = !!zip.file('Account/user.json');
+    const [user, applications, avatars, servers] = await Promise.all([
+        hasAccount ? parseUser(zip) : null,
+        parseApplications(zip),
+        parseRecentAvatars(zip),
+        parseServerIndex(zip)
+    ]);
+    const dirs = listChannelDirs(zip).sort();
+    const channels = new Map();
+    for (const [i, dir] of dirs.entries()) {
+        const info = await readChannelInfo(zip, dir);
+        let ids = new Set();
+        let error = null;
+        try {
+            ids = new Set((await readMessages(zip, dir)).map(m => String(m.id)));
+        } catch (err) {
+            console.error('Compare: could not read channel', dir, err);
+            error = err.message;
+        }
+        channels.set(info.id ? String(info.id) : dir, { dir, info, ids, error });
+        onProgress?.(i + 1, dirs.length);
+    }
+    const currentAvatar = zip.file('Account/avatar.png') ? await zip.file('Account/avatar.png').async('base64') : null;
+    return { user, applications, avatars, servers, channels, currentAvatar };
+}
+
+function getSnapshot(zip, onProgress) {
+    if (!snapshots.has(zip)) snapshots.set(zip, takeSnapshot(zip, onProgress));
+    return snapshots.get(zip);
+}
+
+// Items of two lists keyed by key(): { added, removed, common }
+function diffLists(before, after, key) {
+    const beforeKeys = new Map(before.map(item => [key(item), item]));
+    const afterKeys = new Map(after.map(item => [key(item), item]));
+    return {
+        added: after.filter(item => !beforeKeys.has(key(item))),
+        removed: before.filter(item => !afterKeys.has(key(item))),
+        common: after.filter(item => beforeKeys.has(key(item)))
+    };
+}
+
+function countMissing(ids, other) {
+    let n = 0;
+    for (const id of ids) {
+        if (!other.has(id)) n++;
+    }
+    return n;
+}
+
+function formatField(value) {
+    if (value === null || value === undefined || value === '') return '—';
+    if (Array.isArray(value)) return value.join(', ') || '—';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    return String(value);
+}
+
+// Build the complete diff between two snapshots
+function diffSnapshots(before, after) {
+    const account = [];
+    if (before.user && after.user) {
+        for (const [key, label] of ACCOUNT_FIELDS) {
+            const a = formatField(before.user[key]);
+            const b = formatField(after.user[key]);
+            if (a !== b) account.push({ label, before: a, after: b });
+        }
+        const relationships = (user, type) => user.relationships.filter(r => r.type === type).length;
+        [[1, 'Friends'], [2, 'Blocked users']].forEach(([type, label]) => {
+            const a = relationships(before.user, type);
+            const b = relationships(after.user, type);
+            if (a !== b) account.push({ label, before: String(a), after: String(b) });
+        });
+    }
+    if (before.currentAvatar !== after.currentAvatar) {
+        account.push({
+            label: 'Avatar',
+            before: before.currentAvatar ? 'present' : '—',
+            after: after.currentAvatar ? (before.currentAvatar ? 'changed' : 'present') : '—'
+        });
+    }
+
+    const channelKeys = new Set([...before.channels.keys(), ...after.channels.keys()]);
+    const channels = { added: [], removed: [], changed: [] };
+    for (const key of channelKeys) {
+        const a = before.channels.get(key);
+        const b = after.channels.get(key);
+        if (!a) {
+            channels.added.push({ key, ...b });
+        } else if (!b) {
+            channels.removed.push({ key, ...a });
+        } else {
+            const added = countMissing(b.ids, a.ids);
+            const removed = countMissing(a.ids, b.ids);
+            if (added || removed || a.error !== b.error) {
+                channels.changed.push({ key, before: a, after: b, added, removed });
+            }
+        }
+    }
+    channels.changed.sort((x, y) => (y.added + y.removed) - (x.added + x.removed));
+
+    return {
+        account,
+        servers: diffLists(before.servers, after.servers, s => s.id),
+        channels,
+        applications: diffLists(before.applications, after.applications, app => String(app.id)),
+        avatars: diffLists(before.avatars, after.avatars, av => av.name).added
+    };
+}
+
+function channelLabel(info) {
+    if (!info) return 'Unknown channel';
+    return info.guild && !info.is_dm ? `#${info.name} (${info.guild})` : info.name;
+}
+
+function createCard(title) {
+    const card = document.createElement('div');
+    card.className = 'card';
+    const heading = document.createElement('h2');
+    heading.textContent = title;
+    card.appendChild(heading);
+    return card;
+}
+
+function addList(parent, title, items, format) {
+    const h3 = document.createElement('h3');
+    h3.textContent = `${title} (${items.length})`;
+    parent.appendChild(h3);
+    if (!items.length) return;
+    const ul = document.createElement('ul');
+    items.forEach(item => {
+        const li = document.createElement('li');
+        li.textContent = format(item);
+        ul.appendChild(li);
+    });
+    parent.appendChild(ul);
+}
+
+// Messages of a changed channel that exist in only one of the exports
+async function renderMessageDiff(target, change, beforeZip, afterZip) {
+    target.textContent = 'Reading messages…';
+    try {
+        const [beforeMessages, afterMessages] = await Promise.all([
+            readMessages(beforeZip, change.before.dir),
+            readMessages(afterZip, change.after.dir)
+        ]);
+        const added = afterMessages.filter(m => !change.before.ids.has(String(m.id)));
+        const removed = beforeMessages.filter(m => !change.after.ids.has(String(m.id)));
+        target.textContent = '';
+        const rows = [
+            ...added.slice(0, MESSAGE_LIMIT).map(m => ['➕ Only in after', m.timestamp, m.content]),
+            ...removed.slice(0, MESSAGE_LIMIT).map(m => ['➖ Only in before', m.timestamp, m.content])
+        ];
+        target.appendChild(simpleTable(['', 'Timestamp', 'Content'], rows));
+        if (added.length > MESSAGE_LIMIT || removed.length > MESSAGE_LIMIT) {
+            const note = document.createElement('p');
+            note.textContent = `Showing the first ${MESSAGE_LIMIT} messages of each kind.`;
+            target.appendChild(note);
+        }
+    } catch (err) {
+        console.error('Compare: could not read messages', err);
+        target.textContent = 'Error reading messages: ' + err.message;
+    }
+}
+
+// Render the comparison page
+export async function render(zip, container, options = {}) {
+    container.innerHTML = '';
+    const summaryCard = createCard('Compare Exports');
+    const status = document.createElement('p');
+    summaryCard.appendChild(status);
+    container.appendChild(summaryCard);
+    if (!options.other) {
+        status.textContent = 'Load a second export with "Compare with another export" above to see what changed.';
+        return;
+    }
+
+    let before = { zip, name: options.name || 'first export' };
+    let after = options.other;
+    if (options.swapped) [before, after] = [after, before];
+
+    let diff;
+    try {
+        const snapshotOf = async (side, label) => getSnapshot(side.zip, (done, total) => {
+            status.textContent = `Reading ${label} export… channel ${done} of ${total}`;
+        });
+        const a = await snapshotOf(before, 'before');
+        const b = await snapshotOf(after, 'after');
+        diff = diffSnapshots(a, b);
+    } catch (err) {
+        console.error('Compare rendering error', err);
+        status.textContent = 'Error comparing exports: ' + err.message;
+        return;
+    }
+    // The section was left (or rendered again) while the exports were read
+    if (!container.contains(status)) return;
+
+    status.textContent = `Before: ${before.name} → After: ${after.name}`;
+    const swapBtn = document.createElement('button');
+    swapBtn.textContent = '⇄ Swap before and after';
+    swapBtn.addEventListener('click', () => render(zip, container, { ...options, swapped: !options.swapped }));
+    summaryCard.appendChild(swapBtn);
+    const { channels } = diff;
+    const totals = document.createElement('p');
+    const added = channels.changed.reduce((sum, c) => sum + c.added, 0) + channels.added.reduce((sum, c) => sum + c.ids.size, 0);
+    const removed = channels.changed.reduce((sum, c) => sum + c.removed, 0) + channels.removed.reduce((sum, c) => sum + c.ids.size, 0);
+    totals.textContent = `${added.toLocaleString()} messages only in the after export, ${removed.toLocaleString()} only in the before export. ` +
+        `${channels.added.length} new and ${channels.removed.length} removed channels, ${channels.changed.length} channels with changed messages.`;
+    summaryCard.appendChild(totals);
+
+    const accountCard = createCard('Account');
+    if (diff.account.length) {
+        accountCard.appendChild(simpleTable(['Field', 'Before', 'After'], diff.account.map(c => [c.label, c.before, c.after])));
+    } else {
+        const none = document.createElement('p');
+        none.textContent = 'No account fields changed.';
+        accountCard.appendChild(none);
+    }
+    if (diff.avatars.length) {
+        const h3 = document.createElement('h3');
+        h3.textContent = `New Avatars (${diff.avatars.length})`;
+        accountCard.appendChild(h3);
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.flexWrap = 'wrap';
+        diff.avatars.forEach(av => {
+            const img = document.createElement('img');
+            img.src = av.uri;
+            img.alt = av.name;
+            img.title = av.name;
+            img.style.width = '64px';
+            img.style.height = '64px';
+            img.style.borderRadius = '4px';
+            img.style.margin = '0.25rem';
+            row.appendChild(img);
+        });
+        accountCard.appendChild(row);
+    }
+    addList(accountCard, 'New Connected Applications', diff.applications.added, app => `${app.name} (ID ${app.id})`);
+    addList(accountCard, 'Removed Connected Applications', diff.applications.removed, app => `${app.name} (ID ${app.id})`);
+    container.appendChild(accountCard);
+
+    const serversCard = createCard('Servers & Channels');
+    addList(serversCard, 'New Servers', diff.servers.added, s => `${s.name} (ID ${s.id})`);
+    addList(serversCard, 'Removed Servers', diff.servers.removed, s => `${s.name} (ID ${s.id})`);
+    addList(serversCard, 'New Channels', channels.added, c => `${channelLabel(c.info)} – ${c.ids.size} messages`);
+    addList(serversCard, 'Removed Channels', channels.removed, c => `${channelLabel(c.info)} – ${c.ids.size} messages`);
+    container.appendChild(serversCard);
+
+    const messagesCard = createCard(`Message Changes (${channels.changed.length} channels)`);
+    if (channels.changed.length) {
+        messagesCard.appendChild(simpleTable(['Channel', 'Before', 'After', 'Change', 'Messages'], channels.changed.map(change => {
+            const details = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.textContent = `+${change.added} / −${change.removed}`;
+            details.appendChild(summary);
+            const body = document.createElement('div');
+            details.appendChild(body);
+            let loaded = false;
+            details.addEventListener('toggle', () => {
+                if (!details.open || loaded) return;
+                loaded = true;
+                renderMessageDiff(body, change, before.zip, after.zip);
+            });
+            const delta = change.after.ids.size - change.before.ids.size;
+            return [
+                channelLabel(change.after.info) + (change.after.error || change.before.error ? ' (read error)' : ''),
+                change.before.ids.size.toLocaleString(),
+                change.after.ids.size.toLocaleString(),
+                delta > 0 ? `+${delta}` : String(delta),
+                details
+            ];
+        })));
+    } else {
+        const none = document.createElement('p');
+        none.textContent = 'The channels present in both exports contain the same messages.';
+        messagesCard.appendChild(none);
+    }
+    container.appendChild(messagesCard);
+}
+
+// Simple tests for the compare module
+export async function test(zip) {
+    const results = [];
+    const lists = diffLists([{ id: 1 }, { id: 2 }], [{ id: 2 }, { id: 3 }], x => x.id);
+    results.push({
+        name: 'diffLists finds added and removed items',
+        passed: lists.added.length === 1 && lists.added[0].id === 3 && lists.removed.length === 1 && lists.removed[0].id === 1
+    });
+    try {
+        const snapshot = await getSnapshot(zip);
+        const diff = diffSnapshots(snapshot, snapshot);
+        const empty = !diff.account.length && !diff.channels.added.length && !diff.channels.removed.length &&
+            !diff.channels.changed.length && !diff.servers.added.length && !diff.avatars.length;
+        results.push({ name: 'an export compared with itself has no changes', passed: empty });
+    } catch (err) {
+        results.push({ name: 'compare throws exception', passed: false });
+    }
+
+    // Two small exports: a renamed account, one server swapped for another,
+    // one channel removed, one added and one with changed messages
+    const exportWith = ({ username, servers, channels }) => {
+        const sample = new JSZip();
+        sample.file('Account/user.json', JSON.stringify({ id: '1', username }));
+        sample.file('Servers/index.json', JSON.stringify(servers));
+        for (const [id, ids] of Object.entries(channels)) {
+            sample.file(`Messages/c${id}/channel.json`, JSON.stringify({ id, type: 0, name: `channel ${id}`, guild: { id: '9', name: 'Guild' } }));
+            sample.file(`Messages/c${id}/messages.json`, JSON.stringify(ids.map(n => ({ ID: n, Timestamp: '2022-01-01 10:00:00', Contents: `message ${n}` }))));
+        }
+        return sample;
+    };
+    try {
+        const before = exportWith({ username: 'old name', servers: { 9: 'Guild', 7: 'Old server' }, channels: { 100: ['1', '2'], 200: ['3'] } });
+        const after = exportWith({ username: 'new name', servers: { 9: 'Guild', 8: 'New server' }, channels: { 100: ['2', '4', '5'], 300: ['6'] } });
+        const diff = diffSnapshots(await getSnapshot(before), await getSnapshot(after));
+        const { channels } = diff;
+        results.push({
+            name: 'a renamed account shows the old and new username',
+            passed: diff.account.length === 1 && diff.account[0].label === 'Username' &&
+                diff.account[0].before === 'old name' && diff.account[0].after === 'new name'
+        });
+        results.push({
+            name: 'added and removed servers are listed',
+            passed: diff.servers.added.length === 1 && diff.servers.added[0].name === 'New server' &&
+                diff.servers.removed.length === 1 && diff.servers.removed[0].name === 'Old server'
+        });
+        results.push({
+            name: 'added and removed channels are listed',
+            passed: channels.added.length === 1 && channels.added[0].key === '300' &&
+                channels.removed.length === 1 && channels.removed[0].key === '200'
+        });
+        results.push({
+            name: 'changed channels count added and removed messages',
+            passed: channels.changed.length === 1 && channels.changed[0].key === '100' &&
+                channels.changed[0].added === 2 && channels.changed[0].removed === 1
+        });
+    } catch (err) {
+        console.error('Compare test failed', err);
+        results.push({ name: 'two exports can be compared', passed: false });
+    }
+    return results;
+}
@@ -0,0 +1,628 @@
+// diagnostics.js
+// Diagnostics for the loaded export. It detects which export layout the ZIP
+// uses (legacy CSV or JSON message files, capitalised or lowercase keys and
+// folder names), checks every file the tool reads against the shape the
+// parsers expect, and lists the folders, files and fields the tool ignores.
+// The report only holds paths, field names and types, never values, so it
+// can be attached to a bug report.
+//  - render(zip, container): validates the export and shows the report.
+//  - test(zip): runs simple checks on the validator.
+
+/* global JSZip */
+
+import { simpleTable } from './account.js';
+import { downloadBlob } from './export.js';
+import { streamText } from './messages.js';
+import { sectionsClaiming } from './registry.js';
+
+// Works on any layout, including unrecognised ones
+export const section = {
+    id: 'diagnostics',
+    label: 'Diagnostics',
+    order: 90,
+    always: true
+};
+
+// Activity files can be hundreds of MB; only their first lines are checked
+const ACTIVITY_SAMPLE_LINES = 50;
+
+// Columns of messages.csv, in the spelling the Messages section reads
+const CSV_COLUMNS = ['ID', 'Timestamp', 'Contents', 'Attachments'];
+
+// Fields of a message in messages.json for both key spellings
+const MESSAGE_FIELDS = {
+    capitalised: { ID: ['string', 'number'], Timestamp: ['string'], Contents: ['string', 'null'], Attachments: ['string', 'null'] },
+    lowercase: { id: ['string', 'number'], timestamp: ['string'], content: ['string', 'null'], attachments: ['string', 'null'] }
+};
+
+// Expected shape of every file the tool reads. "fields" are the keys the
+// parsers use with their allowed types; any other key is reported as ignored.
+const SCHEMAS = [
+    {
+        name: 'user.json',
+        pattern: /^Account\/user\.json$/,
+        kind: 'object',
+        required: ['id', 'username'],
+        fields: {
+            id: ['string'],
+            username: ['string'],
+            discriminator: ['string', 'number'],
+            global_name: ['string', 'null'],
+            email: ['string', 'null'],
+            verified: ['boolean'],
+            phone: ['string', 'null'],
+            premium_until: ['string', 'null'],
+            flags: ['array', 'number'],
+            relationships: ['array'],
+            payments: ['array'],
+            payment_sources: ['array'],
+            entitlements: ['array'],
+            gifts: ['array'],
+            connected_accounts: ['array'],
+            settings: ['object'],
+            guild_settings: ['array']
+        }
+    },
+    {
+        name: 'application.json',
+        pattern: /^Account\/applications\/[^/]+\/application\.json$/,
+        kind: 'object',
+        required: ['id', 'name'],
+        fields: {
+            id: ['string'],
+            name: ['string'],
+            description: ['string', 'null'],
+            flags: ['number'],
+            owner: ['object', 'null'],
+            team: ['object', 'null'],
+            bot: ['object', 'null'],
+            bot_public: ['boolean'],
+            bot_require_code_grant: ['boolean']
+        }
+    },
+    {
+        name: 'Messages/index.json',
+        pattern: /^Messages\/index\.json$/,
+        kind: 'map',
+        values: ['string', 'null']
+    },
+    {
+        name: 'channel.json',
+        pattern: /^Messages\/[^/]+\/channel\.json$/,
+        kind: 'object',
+        required: ['id'],
+        fields: {
+            id: ['string'],
+            type: ['number', 'string'],
+            name: ['string', 'null'],
+            guild: ['object', 'null'],
+            recipients: ['array'],
+            parent_id: ['string', 'null']
+        }
+    },
+    {
+        name: 'messages.json',
+        pattern: /^Messages\/[^/]+\/messages\.json$/,
+        kind: 'messages'
+    },
+    {
+        name: 'messages.csv',
+        pattern: /^Messages\/[^/]+\/messages\.csv$/,
+        kind: 'csv'
+    },
+    {
+        name: 'Servers/index.json',
+        pattern: /^Servers\/index\.json$/,
+        kind: 'map',
+        values: ['string']
+    },
+    {
+        name: 'guild.json',
+        pattern: /^Servers\/[^/]+\/guild\.json$/,
+        kind: 'object',
+        required: ['id', 'name'],
+        fields: { id: ['string'], name: ['string'] }
+    },
+    {
+        name: 'audit-log.json',
+        pattern: /^Servers\/[^/]+\/audit-log\.json$/,
+        kind: 'array',
+        required: ['id', 'action_type'],
+        fields: {
+            id: ['string'],
+            action_type: ['number'],
+            user_id: ['string', 'null'],
+            target_id: ['string', 'null'],
+            reason: ['string', 'null'],
+            changes: ['array']
+        }
+    },
+    {
+        name: 'Activity events',
+        pattern: /^Activity\/[^/]+\/.+\.json$/i,
+        kind: 'jsonl',
+        required: ['event_type'],
+        fields: {
+            event_type: ['string'],
+            timestamp: ['string'],
+            client_send_timestamp: ['string'],
+            os: ['string', 'null'],
+            device: ['string', 'null'],
+            browser: ['string', 'null'],
+            city: ['string', 'null'],
+            country_code: ['string', 'null']
+        }
+    }
+];
+
+// Files the tool uses without parsing their contents
+const PASSIVE_FILES = [
+    /^Account\/avatar\.(png|jpe?g|gif|webp)$/i,
+    /^Account\/recent_avatars\/[^/]+$/,
+    /^Account\/applications\/[^/]+\/icon\.(png|jpe?g|gif|webp)$/i,
+    /^[^/]+\.txt$/i
+];
+
+// Reports per loaded ZIP
+const reports = new WeakMap();
+
+function typeName(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+// Collects problems of one file. Repeated problems (e.g. the same missing
+// field in thousands of messages) are counted instead of listed.
+function createIssueList() {
+    const issues = new Map();
+    return {
+        add(severity, message) {
+            const issue = issues.get(message);
+            if (issue) issue.count++;
+            else issues.set(message, { severity, message, count: 1 });
+        },
+        list: () => Array.from(issues.values())
+    };
+}
+
+// Check one object against required keys and field types. Keys without a
+// type in "fields" are added to the ignored set.
+function checkObject(value, { required = [], fields = {} }, issues, ignored, where = '') {
+    const type = typeName(value);
+    if (type !== 'object') {
+        issues.add('error', `${where}expected an object, found ${type}`);
+        return;
+    }
+    for (const key of required) {
+        if (!(key in value)) issues.add('error', `${where}missing required field "${key}"`);
+    }
+    for (const [key, inner] of Object.entries(value)) {
+        const allowed = fields[key];
+        if (!allowed) {
+            ignored.add(key);
+        } else if (!allowed.includes(typeName(inner))) {
+            issues.add('warning', `${where}field "${key}" is ${typeName(inner)}, expected ${allowed.join(' or ')}`);
+        }
+    }
+}
+
+// Key spelling of a message object: "capitalised" (ID, Timestamp, …) or "lowercase"
+function messageKeyCase(message) {
+    if (!message || typeof message !== 'object') return null;
+    if ('ID' in message || 'Timestamp' in message) return 'capitalised';
+    if ('id' in message || 'timestamp' in message) return 'lowercase';
+    return null;
+}
+
+// Validate parsed JSON against a schema. Returns { issues, ignored, keyCase }.
+function validateValue(value, schema) {
+    const issues = createIssueList();
+    const ignored = new Set();
+    let keyCase = null;
+    const type = typeName(value);
+    if (schema.kind === 'object') {
+        checkObject(value, schema, issues, ignored);
+    } else if (schema.kind === 'map') {
+        if (type !== 'object') {
+            issues.add('error', `expected an object mapping IDs to names, found ${type}`);
+        } else {
+            for (const inner of Object.values(value)) {
+                if (!schema.values.includes(typeName(inner))) {
+                    issues.add('warning', `name is ${typeName(inner)}, expected ${schema.values.join(' or ')}`);
+                }
+            }
+        }
+    } else if (schema.kind === 'array' || schema.kind === 'messages') {
+        if (type !== 'array') {
+            issues.add('error', `expected an array, found ${type}`);
+        } else if (schema.kind === 'array') {
+            value.forEach(item => checkObject(item, schema, issues, ignored, 'entry: '));
+        } else {
+            keyCase = messageKeyCase(value[0]);
+            const fields = MESSAGE_FIELDS[keyCase || 'capitalised'];
+            const [idKey, timestampKey] = Object.keys(fields);
+            value.forEach(item => checkObject(item, { required: [idKey, timestampKey], fields }, issues, ignored, 'message: '));
+        }
+    }
+    return { issues: issues.list(), ignored, keyCase };
+}
+
+// Read the first complete lines of a file without decompressing all of it
+async function readHead(file, maxLines) {
+    let text = '';
+    await streamText(file, (chunk) => {
+        text += chunk;
+        return text.split('\n').length <= maxLines;
+    });
+    return text.split('\n').slice(0, maxLines);
+}
+
+// Check the header of messages.csv; the rows are parsed by the Messages section
+function validateCsvHeader(line) {
+    const issues = createIssueList();
+    const columns = String(line || '').replace(/^\uFEFF/, '').replace(/\r$/, '').split(',').map(c => c.replace(/^"|"$/g, '').trim());
+    const lower = columns.map(c => c.toLowerCase());
+    let keyCase = null;
+    if (columns.includes('ID')) keyCase = 'capitalised';
+    else if (lower.includes('id')) keyCase = 'lowercase';
+    for (const column of CSV_COLUMNS) {
+        if (columns.includes(column)) continue;
+        const other = columns[lower.indexOf(column.toLowerCase())];
+        issues.add('error', other
+            ? `column "${column}" is spelled "${other}"; column names are case-sensitive`
+            : `missing column "${column}"`);
+    }
+    const ignored = new Set(columns.filter(c => c && !CSV_COLUMNS.includes(c) && !CSV_COLUMNS.some(k => k.toLowerCase() === c.toLowerCase())));
+    return { issues: issues.list(), ignored, keyCase };
+}
+
+// Describe a JSON.parse error without its message, which may quote the file's
+// contents; only the error type and, where the engine gives one, the position
+function describeJsonError(err) {
+    const at = /line (\d+) column (\d+)/.exec(err.message);
+    if (at) return `${err.name} at line ${at[1]}, column ${at[2]}`;
+    const position = /position (\d+)/.exec(err.message);
+    if (position) return `${err.name} at position ${position[1]}`;
+    if (/end of (JSON )?(input|data)/i.test(err.message)) return `${err.name}: unexpected end of data`;
+    return err.name;
+}
+
+// Check the first lines of a newline-delimited JSON event file
+async function validateEventFile(file, schema) {
+    const issues = createIssueList();
+    const ignored = new Set();
+    const lines = (await readHead(file, ACTIVITY_SAMPLE_LINES)).filter(line => line.trim());
+    lines.forEach((line, i) => {
+        let event;
+        try {
+            event = JSON.parse(line);
+        } catch (err) {
+            issues.add('error', `line ${i + 1} is not valid JSON (${describeJsonError(err)})`);
+            return;
+        }
+        checkObject(event, schema, issues, ignored, 'event: ');
+    });
+    return { issues: issues.list(), ignored, keyCase: null, sampled: lines.length };
+}
+
+async function validateFile(zip, path, schema) {
+    const file = zip.file(path);
+    if (schema.kind === 'csv') {
+        const [header] = await readHead(file, 1);
+        return validateCsvHeader(header);
+    }
+    if (schema.kind === 'jsonl') return validateEventFile(file, schema);
+    let value;
+    try {
+        value = JSON.parse(await file.async('string'));
+    } catch (err) {
+        return { issues: [{ severity: 'error', message: `malformed JSON (${describeJsonError(err)})`, count: 1 }], ignored: new Set(), keyCase: null };
+    }
+    return validateValue(value, schema);
+}
+
+// Detect the layout and validate every file. onProgress receives (done, total).
+async function runDiagnostics(zip, onProgress) {
+    const paths = Object.keys(zip.files).filter(path => !zip.files[path].dir).sort();
+    const topFolders = new Map();
+    for (const path of Object.keys(zip.files)) {
+        if (!path.includes('/')) continue;
+        const folder = path.split('/')[0];
+        if (!topFolders.has(folder)) topFolders.set(folder, 0);
+        if (!zip.files[path].dir) topFolders.set(folder, topFolders.get(folder) + 1);
+    }
+
+    const problems = [];
+    const folders = [];
+    const unknownFolders = [];
+    // Folders a section claims, spelled the way the sections read them
+    const sectionFolders = new Set();
+    for (const [folder, count] of topFolders) {
+        const [owner] = await sectionsClaiming(`${folder}/`);
+        // The sections read capitalised folder names (Account/, Messages/, …)
+        const expected = folder.charAt(0).toUpperCase() + folder.slice(1).toLowerCase();
+        if (!owner) {
+            unknownFolders.push({ folder, files: count });
+        } else if (expected !== folder) {
+            folders.push('lowercase');
+            problems.push({
+                severity: 'error',
+                path: `${folder}/`,
+                message: `folder is spelled "${folder}"; the ${owner.label || owner.id} section reads "${expected}/"`,
+                count: 1
+            });
+        } else {
+            folders.push('capitalised');
+            sectionFolders.add(folder);
+        }
+    }
+
+    const toCheck = [];
+    const unknownFiles = [];
+    for (const path of paths) {
+        const schema = SCHEMAS.find(s => s.pattern.test(path));
+        if (schema) toCheck.push({ path, schema });
+        else if (sectionFolders.has(path.split('/')[0]) && !PASSIVE_FILES.some(re => re.test(path))) unknownFiles.push(path);
+    }
+
+    const files = [];
+    const ignoredFields = new Map();
+    const messageFiles = { json: 0, csv: 0 };
+    const messageKeys = { capitalised: 0, lowercase: 0 };
+    for (const [i, { path, schema }] of toCheck.entries()) {
+        let result;
+        try {
+            result = await validateFile(zip, path, schema);
+        } catch (err) {
+            console.error('Diagnostics: could not read', path, err);
+            result = { issues: [{ severity: 'error', message: `could not read file: ${err.message}`, count: 1 }], ignored: new Set(), keyCase: null };
+        }
+        if (schema.kind === 'messages') messageFiles.json++;
+        if (schema.kind === 'csv') messageFiles.csv++;
+        if (result.keyCase) messageKeys[result.keyCase]++;
+        if (!ignoredFields.has(schema.name)) ignoredFields.set(schema.name, new Set());
+        result.ignored.forEach(key => ignoredFields.get(schema.name).add(key));
+        result.issues.forEach(issue => problems.push({ path, ...issue }));
+        files.push({ path, schema: schema.name, issues: result.issues.length, sampled: result.sampled ?? null });
+        onProgress?.(i + 1, toCheck.length);
+    }
+
+    // A channel folder without any message file or channel.json
+    const channelDirs = new Set(paths.map(p => p.match(/^Messages\/([^/]+)\//)?.[1]).filter(Boolean));
+    for (const dir of channelDirs) {
+        const has = (name) => !!zip.file(`Messages/${dir}/${name}`);
+        if (!has('messages.json') && !has('messages.csv')) {
+            problems.push({ severity: 'warning', path: `Messages/${dir}/`, message: 'no messages.json or messages.csv', count: 1 });
+        }
+        if (!has('channel.json')) {
+            problems.push({ severity: 'warning', path: `Messages/${dir}/`, message: 'no channel.json; the channel is shown without a name', count: 1 });
+        }
+    }
+
+    const version = messageFiles.json && messageFiles.csv ? 'Mixed (CSV and JSON message files)'
+        : messageFiles.csv ? 'Legacy (CSV message files)'
+            : messageFiles.json ? 'Current (JSON message files)'
+                : 'Unknown (no message files)';
+    const spelling = (counts) => {
+        const used = Object.entries(counts).filter(([, n]) => n).map(([name]) => name);
+        return used.length > 1 ? 'mixed' : used[0] || '—';
+    };
+    const severityOrder = { error: 0, warning: 1 };
+    problems.sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity] || a.path.localeCompare(b.path));
+    return {
+        generatedAt: new Date().toISOString(),
+        format: {
+            version,
+            folderNames: spelling({
+                capitalised: folders.filter(f => f === 'capitalised').length,
+                lowercase: folders.filter(f => f === 'lowercase').length
+            }),
+            messageFiles,
+            messageKeys: spelling(messageKeys)
+        },
+        checked: files.length,
+        errors: problems.filter(p => p.severity === 'error').length,
+        warnings: problems.filter(p => p.severity === 'warning').length,
+        problems,
+        files,
+        unknownFolders,
+        unknownFiles,
+        ignoredFields: Object.fromEntries(Array.from(ignoredFields.entries())
+            .filter(([, keys]) => keys.size)
+            .map(([name, keys]) => [name, Array.from(keys).sort()]))
+    };
+}
+
+function getReport(zip, onProgress) {
+    if (!reports.has(zip)) reports.set(zip, runDiagnostics(zip, onProgress));
+    return reports.get(zip);
+}
+
+// Plain-text version of the report for pasting into an issue
+function reportToText(report) {
+    const lines = [
+        'Discord Export Visualizer diagnostics',
+        `Generated: ${report.generatedAt}`,
+        `Format: ${report.format.version}`,
+        `Folder names: ${report.format.folderNames}`,
+        `Message files: ${report.format.messageFiles.json} JSON, ${report.format.messageFiles.csv} CSV`,
+        `Message keys: ${report.format.messageKeys}`,
+        `Files checked: ${report.checked}, errors: ${report.errors}, warnings: ${report.warnings}`,
+        ''
+    ];
+    if (report.problems.length) {
+        lines.push('Problems:');
+        report.problems.forEach(p => lines.push(`  [${p.severity}] ${p.path}: ${p.message}${p.count > 1 ? ` (${p.count}×)` : ''}`));
+        lines.push('');
+    }
+    if (report.unknownFolders.length) {
+        lines.push('Folders without a section: ' + report.unknownFolders.map(f => `${f.folder}/ (${f.files} files)`).join(', '));
+    }
+    if (report.unknownFiles.length) {
+        lines.push('Files not read: ' + report.unknownFiles.join(', '));
+    }
+    for (const [name, keys] of Object.entries(report.ignoredFields)) {
+        lines.push(`Ignored fields in ${name}: ${keys.join(', ')}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Render the diagnostics page
+export async function render(zip, container) {
+    container.innerHTML = '';
+    const card = document.createElement('div');
+    card.className = 'card';
+    const heading = document.createElement('h2');
+    heading.textContent = 'Diagnostics';
+    card.appendChild(heading);
+    const status = document.createElement('p');
+    card.appendChild(status);
+    container.appendChild(card);
+
+    let report;
+    try {
+        report = await getReport(zip, (done, total) => {
+            status.textContent = `Checking files… ${done} of ${total}`;
+        });
+    } catch (err) {
+        reports.delete(zip);
+        console.error('Diagnostics rendering error', err);
+        status.textContent = 'Error running diagnostics: ' + err.message;
+        return;
+    }
+    status.textContent = report.errors || report.warnings
+        ? `${report.errors} error(s) and ${report.warnings} warning(s) in ${report.checked} checked files.`
+        : `No problems found in ${report.checked} checked files.`;
+
+    card.appendChild(simpleTable(['Check', 'Result'], [
+        ['Export format', report.format.version],
+        ['Folder names', report.format.folderNames],
+        ['Message files', `${report.format.messageFiles.json} JSON, ${report.format.messageFiles.csv} CSV`],
+        ['Message keys', report.format.messageKeys]
+    ]));
+
+    const actions = document.createElement('div');
+    actions.style.display = 'flex';
+    actions.style.gap = '0.5rem';
+    actions.style.marginTop = '0.5rem';
+    const copyBtn = document.createElement('button');
+    copyBtn.textContent = '📋 Copy report';
+    copyBtn.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(reportToText(report));
+            copyBtn.textContent = '📋 Copied';
+        } catch (err) {
+            console.error('Could not copy the report', err);
+            copyBtn.textContent = '📋 Copy failed, use the download';
+        }
+    });
+    const downloadBtn = document.createElement('button');
+    downloadBtn.textContent = '💾 Download report (JSON)';
+    downloadBtn.addEventListener('click', () => {
+        downloadBlob(new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }), 'diagnostics.json');
+    });
+    actions.appendChild(copyBtn);
+    actions.appendChild(downloadBtn);
+    card.appendChild(actions);
+    const note = document.createElement('p');
+    note.style.fontSize = '0.9rem';
+    note.style.color = '#555';
+    note.textContent = 'The report lists file paths, field names and types only, never the contents of your messages or account.';
+    card.appendChild(note);
+
+    const problemsCard = document.createElement('div');
+    problemsCard.className = 'card';
+    const problemsHeading = document.createElement('h2');
+    problemsHeading.textContent = `Problems (${report.problems.length})`;
+    problemsCard.appendChild(problemsHeading);
+    if (report.problems.length) {
+        problemsCard.appendChild(simpleTable(['Severity', 'Path', 'Problem', 'Count'], report.problems.map(p => [
+            p.severity === 'error' ? '❌ Error' : '⚠️ Warning', p.path, p.message, String(p.count)
+        ])));
+    } else {
+        const none = document.createElement('p');
+        none.textContent = 'Every checked file has the expected shape.';
+        problemsCard.appendChild(none);
+    }
+    container.appendChild(problemsCard);
+
+    const ignoredCard = document.createElement('div');
+    ignoredCard.className = 'card';
+    const ignoredHeading = document.createElement('h2');
+    ignoredHeading.textContent = 'Not Used by the Tool';
+    ignoredCard.appendChild(ignoredHeading);
+    const addList = (title, items) => {
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.textContent = `${title} (${items.length})`;
+        details.appendChild(summary);
+        const ul = document.createElement('ul');
+        items.forEach(text => {
+            const li = document.createElement('li');
+            li.textContent = text;
+            ul.appendChild(li);
+        });
+        details.appendChild(ul);
+        ignoredCard.appendChild(details);
+    };
+    addList('Folders without a section', report.unknownFolders.map(f => `${f.folder}/ – ${f.files} file(s)`));
+    addList('Files that are not read', report.unknownFiles);
+    for (const [name, keys] of Object.entries(report.ignoredFields)) {
+        addList(`Ignored fields in ${name}`, keys);
+    }
+    container.appendChild(ignoredCard);
+
+    const filesCard = document.createElement('div');
+    filesCard.className = 'card';
+    const filesDetails = document.createElement('details');
+    const filesSummary = document.createElement('summary');
+    filesSummary.textContent = `Checked files (${report.files.length})`;
+    filesDetails.appendChild(filesSummary);
+    filesDetails.appendChild(simpleTable(['Path', 'Expected', 'Problems'], report.files.map(f => [
+        f.path,
+        f.sampled !== null ? `${f.schema} (first ${f.sampled} lines)` : f.schema,
+        f.issues ? String(f.issues) : '✔'
+    ])));
+    filesCard.appendChild(filesDetails);
+    container.appendChild(filesCard);
+}
+
+// Simple tests for the diagnostics module
+export async function test(zip) {
+    const results = [];
+    const user = validateValue({ id: 1, email: 'a', extra: true }, SCHEMAS[0]);
+    results.push({
+        name: 'validateValue reports missing fields, wrong types and ignored keys',
+        passed: user.issues.some(i => i.message === 'missing required field "username"') &&
+            user.issues.some(i => i.message.startsWith('field "id" is number')) &&
+            user.ignored.has('extra') && !user.ignored.has('email')
+    });
+    const messages = validateValue([{ id: '1', timestamp: 'x' }, { id: '2' }], SCHEMAS.find(s => s.kind === 'messages'));
+    results.push({
+        name: 'messages.json key spelling is detected',
+        passed: messages.keyCase === 'lowercase' && messages.issues.length === 1 && messages.issues[0].message.includes('"timestamp"')
+    });
+    const errors = ['[not json', '{"token": "abc', '{"a": 1,}'].map(text => {
+        try {
+            JSON.parse(text);
+        } catch (err) {
+            return describeJsonError(err);
+        }
+        return '';
+    });
+    results.push({
+        name: 'JSON errors are reported without the file contents',
+        passed: errors.every(text => text.startsWith('SyntaxError') && !/json|abc|token/.test(text))
+    });
+    const csv = validateCsvHeader('\uFEFFid,Timestamp,Contents,Attachments');
+    results.push({ name: 'CSV header case mismatch is an error', passed: csv.keyCase === 'lowercase' && csv.issues.length === 1 });
+    try {
+        const report = await getReport(zip);
+        const expected = Object.keys(zip.files).filter(path => !zip.files[path].dir && SCHEMAS.some(s => s.pattern.test(path)));
+        results.push({ name: 'diagnostics check every known file', passed: report.files.length === expected.length });
+    } catch (err) {
+        results.push({ name: 'diagnostics throws exception', passed: false });
+    }
+    return results;
+}
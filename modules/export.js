@@ -0,0 +1,186 @@
+// export.js
+// Export helpers for the Messages and Search sections. Messages are written
+// as CSV, normalized JSON, a self-contained HTML page or a ZIP holding all
+// three. Files are generated in the browser (Blob / JSZip) and handed to the
+// user as a download, so nothing leaves the machine.
+//
+// Every exporter takes a list of channel groups:
+//   [{ info: { id, name, guild, guildId, type }, messages: [{ id, timestamp, content, attachments }] }]
+
+/* global JSZip */
+
+export const FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mime: 'text/csv;charset=utf-8' },
+    json: { label: 'JSON', extension: 'json', mime: 'application/json' },
+    html: { label: 'HTML archive', extension: 'html', mime: 'text/html;charset=utf-8' },
+    zip: { label: 'ZIP (all formats)', extension: 'zip', mime: 'application/zip' }
+};
+
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function channelMeta(info) {
+    return {
+        id: info.id ?? null,
+        name: info.name ?? null,
+        guild: info.is_dm ? null : info.guild ?? null,
+        guildId: info.guildId ?? null,
+        type: info.type ?? null
+    };
+}
+
+// RFC 4180 CSV with one row per message and the channel in extra columns
+export function toCsv(groups) {
+    const lines = [['ID', 'Timestamp', 'Contents', 'Attachments', 'Channel', 'Server'].join(',')];
+    for (const { info, messages } of groups) {
+        const meta = channelMeta(info);
+        for (const m of messages) {
+            lines.push([m.id, m.timestamp, m.content, m.attachments, meta.name, meta.guild].map(csvField).join(','));
+        }
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+// The { id, timestamp, content, attachments } shape of readMessages(),
+// grouped per channel with the channel and server metadata
+export function toJson(groups) {
+    return JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        channels: groups.map(({ info, messages }) => ({
+            ...channelMeta(info),
+            messages: messages.map(m => ({
+                id: m.id,
+                timestamp: m.timestamp,
+                content: m.content,
+                attachments: m.attachments
+            }))
+        }))
+    }, null, 2);
+}
+
+// A single offline HTML page with inline styles and no external resources.
+// Attachment URLs are printed as text and never linked or embedded.
+export function toHtml(groups, title = 'Discord messages') {
+    const sections = groups.map(({ info, messages }) => {
+        const meta = channelMeta(info);
+        const rows = messages.map(m => `
+      <tr>
+        <td class="ts">${escapeHtml(m.timestamp)}</td>
+        <td class="content">${escapeHtml(m.content)}</td>
+        <td class="att">${escapeHtml(m.attachments)}</td>
+      </tr>`).join('');
+        return `
+  <section>
+    <h2>${escapeHtml(meta.name)}${meta.guild ? ` <small>${escapeHtml(meta.guild)}</small>` : ''}</h2>
+    <p class="meta">${messages.length} messages</p>
+    <table>
+      <thead><tr><th>Timestamp</th><th>Content</th><th>Attachments</th></tr></thead>
+      <tbody>${rows}
+      </tbody>
+    </table>
+  </section>`;
+    }).join('');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 0 auto; padding: 1rem; max-width: 1200px; color: #333; background: #f8f9fa; }
+    section { background: #fff; border: 1px solid #ddd; border-radius: 4px; padding: 1rem; margin-bottom: 1rem; }
+    h2 small { color: #777; font-weight: normal; }
+    .meta { color: #555; font-size: 0.9rem; }
+    table { width: 100%; border-collapse: collapse; table-layout: fixed; }
+    th, td { padding: 0.5rem; border-bottom: 1px solid #eee; text-align: left; vertical-align: top; word-break: break-word; }
+    th { background: #f1f4f8; }
+    .ts { width: 180px; }
+    .content { white-space: pre-wrap; }
+    .att { width: 220px; word-break: break-all; color: #555; font-size: 0.85rem; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="meta">Exported ${escapeHtml(new Date().toISOString())} with Discord Export Visualizer.</p>${sections}
+</body>
+</html>
+`;
+}
+
+// Build the export file for the given format as a Blob
+export async function createExport(groups, format, title) {
+    const { mime } = FORMATS[format];
+    if (format === 'csv') return new Blob([toCsv(groups)], { type: mime });
+    if (format === 'json') return new Blob([toJson(groups)], { type: mime });
+    if (format === 'html') return new Blob([toHtml(groups, title)], { type: mime });
+    const archive = new JSZip();
+    archive.file('messages.csv', toCsv(groups));
+    archive.file('messages.json', toJson(groups));
+    archive.file('messages.html', toHtml(groups, title));
+    return archive.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+}
+
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Turn a channel or query name into a safe file name
+function fileName(name, extension) {
+    const base = String(name || 'messages').replace(/[^\p{L}\p{N}_-]+/gu, '_').replace(/^_+|_+$/g, '') || 'messages';
+    return `${base.slice(0, 80)}.${extension}`;
+}
+
+// Format picker plus an Export button. getGroups() is called when the
+// button is pressed and may return a promise.
+export function createExportControls(getGroups, name) {
+    const wrapper = document.createElement('span');
+    wrapper.style.display = 'inline-flex';
+    wrapper.style.gap = '0.25rem';
+    const select = document.createElement('select');
+    select.title = 'Export format';
+    for (const [value, { label }] of Object.entries(FORMATS)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    }
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = '💾 Export';
+    button.addEventListener('click', async () => {
+        button.disabled = true;
+        try {
+            const groups = await getGroups();
+            const format = select.value;
+            const blob = await createExport(groups, format, typeof name === 'function' ? name() : name);
+            downloadBlob(blob, fileName(typeof name === 'function' ? name() : name, FORMATS[format].extension));
+        } catch (err) {
+            console.error('Export error', err);
+            alert('Export failed: ' + err.message);
+        } finally {
+            button.disabled = false;
+        }
+    });
+    wrapper.appendChild(select);
+    wrapper.appendChild(button);
+    return wrapper;
+}
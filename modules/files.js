@@ -0,0 +1,279 @@
+// files.js
+// Generic file browser for folders of the export that no other section
+// claims (see registry.js), e.g. Programs/ or Support_Tickets/. JSON files
+// are pretty-printed, CSV files shown as a table, images displayed and text
+// files printed as plain text; everything else can be downloaded.
+//  - render(zip, container, options): options.path opens that file.
+//  - test(zip): runs simple checks on the file listing.
+
+/* global JSZip */
+
+import { unclaimedFiles, sectionsClaiming } from './registry.js';
+import { parseCsv, streamText } from './messages.js';
+import { downloadBlob } from './export.js';
+
+export const section = {
+    id: 'files',
+    label: 'Other Files',
+    order: 80,
+    when: async (zip) => Object.keys(await unclaimedFiles(zip)).length > 0
+};
+
+// Characters read for a preview; larger files are cut off
+const PREVIEW_LIMIT = 1024 * 1024;
+
+// Rows shown in a CSV preview
+const CSV_ROWS = 100;
+
+const IMAGE_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    bmp: 'image/bmp',
+    svg: 'image/svg+xml'
+};
+
+const TEXT_EXTENSIONS = ['txt', 'md', 'log', 'html', 'htm', 'xml', 'yml', 'yaml', 'ini', 'tsv'];
+
+// Object URL of the image currently shown, revoked when the preview changes
+let imageUrl = null;
+
+function extension(path) {
+    const name = path.split('/').pop();
+    return name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+}
+
+function previewKind(path) {
+    const ext = extension(path);
+    if (ext === 'json') return 'json';
+    if (ext === 'csv') return 'csv';
+    if (IMAGE_TYPES[ext]) return 'image';
+    if (TEXT_EXTENSIONS.includes(ext)) return 'text';
+    return null;
+}
+
+// Read at most `limit` characters; truncated tells whether the file is longer
+async function readPrefix(file, limit) {
+    let text = '';
+    await streamText(file, (chunk) => {
+        text += chunk;
+        return text.length <= limit;
+    });
+    return text.length > limit ? { text: text.slice(0, limit), truncated: true } : { text, truncated: false };
+}
+
+function pre(text) {
+    const el = document.createElement('pre');
+    el.style.whiteSpace = 'pre-wrap';
+    el.style.wordBreak = 'break-word';
+    el.style.maxHeight = '70vh';
+    el.style.overflow = 'auto';
+    el.textContent = text;
+    return el;
+}
+
+function csvTable(rows) {
+    const table = document.createElement('table');
+    const headers = rows.length ? Object.keys(rows[0]) : [];
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    headers.forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headRow.appendChild(th);
+    });
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+    const tbody = document.createElement('tbody');
+    rows.slice(0, CSV_ROWS).forEach(row => {
+        const tr = document.createElement('tr');
+        headers.forEach(key => {
+            const td = document.createElement('td');
+            td.textContent = row[key] ?? '';
+            td.style.wordBreak = 'break-word';
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    return table;
+}
+
+async function showPreview(zip, path, target) {
+    target.innerHTML = '';
+    if (imageUrl) {
+        URL.revokeObjectURL(imageUrl);
+        imageUrl = null;
+    }
+    const heading = document.createElement('h2');
+    heading.textContent = path.split('/').pop();
+    target.appendChild(heading);
+    const pathP = document.createElement('p');
+    pathP.textContent = path;
+    pathP.style.fontSize = '0.9rem';
+    pathP.style.color = '#555';
+    target.appendChild(pathP);
+
+    const file = zip.file(path);
+    const downloadBtn = document.createElement('button');
+    downloadBtn.textContent = '💾 Download';
+    downloadBtn.addEventListener('click', async () => {
+        downloadBlob(await file.async('blob'), path.split('/').pop());
+    });
+    target.appendChild(downloadBtn);
+
+    const body = document.createElement('div');
+    body.style.marginTop = '0.5rem';
+    target.appendChild(body);
+    const kind = previewKind(path);
+    try {
+        if (kind === 'image') {
+            const data = await file.async('uint8array');
+            imageUrl = URL.createObjectURL(new Blob([data], { type: IMAGE_TYPES[extension(path)] }));
+            const img = document.createElement('img');
+            img.src = imageUrl;
+            img.alt = path;
+            img.style.maxWidth = '100%';
+            body.appendChild(img);
+            return;
+        }
+        if (!kind) {
+            body.textContent = 'No preview for this file type.';
+            return;
+        }
+        const { text, truncated } = await readPrefix(file, PREVIEW_LIMIT);
+        if (truncated) {
+            const note = document.createElement('p');
+            note.textContent = `Only the first ${PREVIEW_LIMIT.toLocaleString()} characters are shown.`;
+            body.appendChild(note);
+        }
+        if (kind === 'json' && !truncated) {
+            let value;
+            try {
+                value = JSON.parse(text);
+            } catch (err) {
+                const error = document.createElement('p');
+                error.textContent = 'Malformed JSON: ' + err.message;
+                body.appendChild(error);
+                body.appendChild(pre(text));
+                return;
+            }
+            body.appendChild(pre(JSON.stringify(value, null, 2)));
+        } else if (kind === 'csv') {
+            // Drop a row cut off by the preview limit
+            const rows = parseCsv(truncated ? text.slice(0, text.lastIndexOf('\n') + 1) : text);
+            const count = document.createElement('p');
+            count.textContent = rows.length > CSV_ROWS
+                ? `${rows.length.toLocaleString()} rows, showing the first ${CSV_ROWS}.`
+                : `${rows.length.toLocaleString()} rows.`;
+            body.appendChild(count);
+            body.appendChild(csvTable(rows));
+        } else {
+            body.appendChild(pre(text));
+        }
+    } catch (err) {
+        console.error('File preview error', path, err);
+        body.textContent = 'Error reading file: ' + err.message;
+    }
+}
+
+// Render the file browser
+export async function render(zip, container, options = {}) {
+    container.innerHTML = '';
+    const wrapper = document.createElement('div');
+    wrapper.style.display = 'flex';
+    wrapper.style.flexWrap = 'wrap';
+
+    const fileList = document.createElement('div');
+    fileList.className = 'card';
+    fileList.style.width = '30%';
+    fileList.style.minWidth = '200px';
+    fileList.style.maxHeight = '100vh';
+    fileList.style.overflowY = 'auto';
+    fileList.style.marginRight = '1rem';
+    const listHeading = document.createElement('h3');
+    listHeading.textContent = 'Other Files';
+    fileList.appendChild(listHeading);
+
+    const preview = document.createElement('div');
+    preview.className = 'card';
+    preview.style.flex = '1';
+    preview.style.minWidth = '300px';
+    preview.textContent = 'Select a file to preview it. These folders are not interpreted by any section.';
+
+    wrapper.appendChild(fileList);
+    wrapper.appendChild(preview);
+    container.appendChild(wrapper);
+
+    let folders;
+    try {
+        folders = await unclaimedFiles(zip);
+    } catch (err) {
+        console.error('Files rendering error', err);
+        preview.textContent = 'Error listing files: ' + err.message;
+        return;
+    }
+
+    const items = [];
+    for (const [folder, paths] of Object.entries(folders)) {
+        const details = document.createElement('details');
+        details.open = Object.keys(folders).length === 1 || paths.includes(options.path);
+        const summary = document.createElement('summary');
+        summary.textContent = `${folder ? `${folder}/` : 'Top level'} (${paths.length})`;
+        details.appendChild(summary);
+        const ul = document.createElement('ul');
+        ul.style.listStyle = 'none';
+        ul.style.padding = 0;
+        for (const path of paths) {
+            const li = document.createElement('li');
+            li.style.padding = '0.25rem 0.5rem';
+            li.style.cursor = 'pointer';
+            li.style.wordBreak = 'break-all';
+            li.textContent = folder ? path.slice(folder.length + 1) : path;
+            li.title = path;
+            const select = () => {
+                items.forEach(item => {
+                    item.style.backgroundColor = '';
+                });
+                li.style.backgroundColor = '#f1f4f8';
+                showPreview(zip, path, preview);
+            };
+            li.addEventListener('click', () => {
+                select();
+                document.dispatchEvent(new CustomEvent('route', { detail: { section: 'files', path } }));
+            });
+            items.push(li);
+            ul.appendChild(li);
+            if (path === options.path) select();
+        }
+        details.appendChild(ul);
+        fileList.appendChild(details);
+    }
+    if (!items.length) {
+        preview.textContent = 'Every file of this export belongs to a section.';
+    }
+}
+
+// Simple tests for the file browser
+export async function test(zip) {
+    const results = [];
+    results.push({
+        name: 'previewKind picks a preview by extension',
+        passed: previewKind('a/b.json') === 'json' && previewKind('a/b.CSV') === 'csv' &&
+            previewKind('a/b.png') === 'image' && previewKind('a/b.bin') === null
+    });
+    try {
+        const unclaimed = new Set(Object.values(await unclaimedFiles(zip)).flat());
+        let split = true;
+        for (const path of Object.keys(zip.files).filter(path => !zip.files[path].dir)) {
+            const claimed = (await sectionsClaiming(path)).length > 0;
+            if (claimed === unclaimed.has(path)) split = false;
+        }
+        results.push({ name: 'unclaimed files are exactly those no section claims', passed: split });
+    } catch (err) {
+        results.push({ name: 'unclaimedFiles throws exception', passed: false });
+    }
+    return results;
+}
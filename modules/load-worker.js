@@ -0,0 +1,23 @@
+// load-worker.js
+// Web Worker that reads a dropped ZIP file into memory, so reading a
+// multi-GB export does not block the page. Only the reading happens here;
+// JSZip parses the archive on the page afterwards (see loader.js). Messages:
+//  - { type: 'load', file } → { type: 'progress', phase: 'read', loaded, total }
+//    while reading, then { type: 'loaded', buffer } (the buffer is
+//    transferred) or { type: 'error', message }.
+// Loading is cancelled by terminating the worker.
+
+import { readFile } from './zip-reader.js';
+
+self.addEventListener('message', async (e) => {
+    const msg = e.data;
+    if (msg.type !== 'load') return;
+    try {
+        const bytes = await readFile(msg.file, (loaded, total) => {
+            self.postMessage({ type: 'progress', phase: 'read', loaded, total });
+        });
+        self.postMessage({ type: 'loaded', buffer: bytes.buffer }, [bytes.buffer]);
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+});
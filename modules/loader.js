@@ -0,0 +1,146 @@
+// loader.js
+// Loads a dropped export with progress reporting and cancellation. Only
+// reading the file happens off the page's thread, in a Web Worker
+// (load-worker.js); when workers are unavailable (e.g. the page is opened
+// from file://), it is read on the page in pieces.
+// JSZip then parses the bytes on the page: the sections need the JSZip
+// object, which cannot be handed over from a worker. That step runs in one
+// go, without progress, and cannot be interrupted; the page does not
+// respond until it is done.
+//  - loadZip(file, { signal, onProgress }): resolves to the JSZip instance.
+//    onProgress receives { phase: 'read' | 'open', loaded, total }.
+//    Aborting signal while reading stops the load and drops the bytes read
+//    so far; an abort during the open step takes effect once it is done,
+//    and the opened archive is dropped. Both reject with an error.
+//  - zipFile(zip): the file a JSZip instance was loaded from, so workers
+//    can open their own copy (see search.js); null for other instances.
+//  - formatProgress(progress): status line such as "Reading 1.2 GB of 3.4 GB (35%)…".
+//  - test(): checks loading, rejecting and cancelling on a small ZIP.
+
+/* global JSZip */
+
+import { readFile } from './zip-reader.js';
+
+// The dropped file of every loaded export
+const sourceFiles = new WeakMap();
+
+export function zipFile(zip) {
+    return sourceFiles.get(zip) || null;
+}
+
+function formatSize(bytes) {
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+    if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+    return `${Math.ceil(bytes / 1024)} KB`;
+}
+
+export function formatProgress({ phase, loaded, total }) {
+    const percent = total ? Math.floor(loaded / total * 100) : 100;
+    if (phase === 'read') return `Reading ${formatSize(loaded)} of ${formatSize(total)} (${percent}%)…`;
+    return 'Opening the archive (this cannot be cancelled)…';
+}
+
+function cancelled() {
+    return new Error('Loading cancelled');
+}
+
+// Read on the page; used when the worker cannot run
+async function readOnPage(file, signal, onProgress) {
+    const bytes = await readFile(file, (loaded, total) => onProgress?.({ phase: 'read', loaded, total }), () => signal?.aborted);
+    return bytes.buffer;
+}
+
+// Read in the worker; resolves to the file's bytes as an ArrayBuffer
+function readInWorker(file, signal, onProgress) {
+    let worker;
+    try {
+        worker = new Worker(new URL('./load-worker.js', import.meta.url), { type: 'module' });
+    } catch (_) {
+        return readOnPage(file, signal, onProgress);
+    }
+    return new Promise((resolve, reject) => {
+        const finish = () => {
+            worker.terminate();
+            signal?.removeEventListener('abort', abort);
+        };
+        const abort = () => {
+            finish();
+            reject(cancelled());
+        };
+        signal?.addEventListener('abort', abort);
+        worker.addEventListener('message', (e) => {
+            const msg = e.data;
+            if (msg.type === 'progress') {
+                onProgress?.({ phase: msg.phase, loaded: msg.loaded, total: msg.total });
+            } else if (msg.type === 'loaded') {
+                finish();
+                resolve(msg.buffer);
+            } else if (msg.type === 'error') {
+                finish();
+                reject(new Error(msg.message));
+            }
+        });
+        // A worker that fails to start (e.g. no module worker support) is
+        // replaced by reading on the page
+        worker.addEventListener('error', (e) => {
+            console.error('Load worker error, reading on the page instead', e);
+            finish();
+            readOnPage(file, signal, onProgress).then(resolve, reject);
+        });
+        worker.postMessage({ type: 'load', file });
+    });
+}
+
+export async function loadZip(file, { signal, onProgress } = {}) {
+    if (signal?.aborted) throw cancelled();
+    const buffer = await readInWorker(file, signal, onProgress);
+    onProgress?.({ phase: 'open', loaded: 0, total: 0 });
+    // Let the progress update show before JSZip blocks the page
+    await new Promise(resolve => setTimeout(resolve));
+    if (signal?.aborted) throw cancelled();
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(buffer);
+    } catch (err) {
+        throw new Error(`This file is not a ZIP archive or is damaged (${err.message})`);
+    }
+    if (signal?.aborted) throw cancelled();
+    sourceFiles.set(zip, file);
+    return zip;
+}
+
+// Simple tests for the loader
+export async function test() {
+    const results = [];
+    const sample = new JSZip();
+    sample.file('Messages/c1/messages.json', '[]');
+    sample.file('README.txt', 'hello');
+    const file = new Blob([await sample.generateAsync({ type: 'uint8array' })]);
+
+    const phases = new Set();
+    const zip = await loadZip(file, { onProgress: (progress) => phases.add(progress.phase) });
+    results.push({
+        name: 'loadZip opens a ZIP and reports every phase',
+        passed: !!zip.file('README.txt') && ['read', 'open'].every(phase => phases.has(phase))
+    });
+
+    let notZip = false;
+    try {
+        await loadZip(new Blob(['not a zip']));
+    } catch (err) {
+        notZip = /not a ZIP/.test(err.message);
+    }
+    results.push({ name: 'loadZip rejects files that are not ZIP archives', passed: notZip });
+
+    const controller = new AbortController();
+    const loading = loadZip(file, { signal: controller.signal });
+    controller.abort();
+    let cancelledLoad = false;
+    try {
+        await loading;
+    } catch (_) {
+        cancelledLoad = controller.signal.aborted;
+    }
+    results.push({ name: 'loadZip stops when cancelled', passed: cancelledLoad });
+    return results;
+}
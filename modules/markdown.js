@@ -0,0 +1,271 @@
+// markdown.js
+// Renders the Discord flavour of markdown used in message contents: bold,
+// italic, underline, strikethrough, spoilers, inline and fenced code, block
+// quotes, links, mentions, custom emoji and timestamp tags. Text is parsed
+// into a small tree first and then turned into DOM nodes with textContent,
+// so message text is never interpreted as HTML.
+//  - parseMarkdown(text): the tree, a list of nodes such as
+//    { type: 'strong', children } or { type: 'user', id }.
+//  - renderMarkdown(text, context): a DocumentFragment. context.users maps
+//    user IDs to names, context.channels maps channel IDs to { dir, name }.
+
+import { createExternalLink } from './offline.js';
+import { formatRoute } from './router.js';
+import { getSetting } from './settings.js';
+import { dateFormatter } from './time.js';
+
+// Inline rules, tried in this order at every position. Each pattern is
+// sticky so \b can look at the character before the match.
+const INLINE_RULES = [
+    { type: 'escape', re: /\\([^0-9A-Za-z\s])/y },
+    { type: 'codeblock', re: /```(?:([a-z0-9_+\-.#]+?)\n)?\n*([^\n][^]*?)\n*```/iy },
+    { type: 'code', re: /(`+)([^]*?[^`])\1(?!`)/y },
+    { type: 'spoiler', re: /\|\|([^]+?)\|\|/y },
+    { type: 'strong', re: /\*\*([^]+?)\*\*(?!\*)/y },
+    { type: 'underline', re: /__([^]+?)__(?!_)/y },
+    { type: 'em', re: /\b_((?:__|\\[^]|[^\\_])+?)_\b|\*(?=\S)((?:\*\*|\\[^]|\s+(?:\\[^]|[^\s*\\]|\*\*)|[^\s*\\])+?)\*(?!\*)/y },
+    { type: 'strike', re: /~~([^]+?)~~/y },
+    { type: 'user', re: /<@!?(\d+)>/y },
+    { type: 'role', re: /<@&(\d+)>/y },
+    { type: 'channel', re: /<#(\d+)>/y },
+    { type: 'emoji', re: /<(a?):(\w+):(\d+)>/y },
+    { type: 'timestamp', re: /<t:(-?\d{1,13})(?::([tTdDfFR]))?>/y },
+    { type: 'autolink', re: /<(https?:\/\/[^\s>]+)>/y },
+    { type: 'maskedlink', re: /\[([^\]\n]+)\]\(<?(https?:\/\/[^\s)>]+)>?\)/y },
+    { type: 'url', re: /https?:\/\/[^\s<]+[^<.,:;"')\]\s]/y }
+];
+
+// Characters that may start one of the rules above
+const SPECIAL = /[\\`|*_~<[h>\n]/g;
+
+function matchRule(text, pos) {
+    for (const rule of INLINE_RULES) {
+        rule.re.lastIndex = pos;
+        const match = rule.re.exec(text);
+        if (match) return { type: rule.type, match };
+    }
+    return null;
+}
+
+function toNode(type, match, parse) {
+    switch (type) {
+        case 'escape':
+            return { type: 'text', text: match[1] };
+        case 'codeblock':
+            return { type: 'codeblock', lang: match[1] || null, text: match[2] };
+        case 'code':
+            return { type: 'code', text: match[2].trim() || match[2] };
+        case 'spoiler':
+        case 'strong':
+        case 'underline':
+        case 'strike':
+            return { type, children: parse(match[1]) };
+        case 'em':
+            return { type: 'em', children: parse(match[1] ?? match[2]) };
+        case 'user':
+        case 'role':
+        case 'channel':
+            return { type, id: match[1] };
+        case 'emoji':
+            return { type: 'emoji', name: match[2], id: match[3], animated: match[1] === 'a' };
+        case 'timestamp':
+            return { type: 'timestamp', time: Number(match[1]) * 1000, style: match[2] || 'f' };
+        case 'autolink':
+        case 'url':
+            return { type: 'link', url: match[1] ?? match[0], children: [{ type: 'text', text: match[1] ?? match[0] }] };
+        case 'maskedlink':
+            return { type: 'link', url: match[2], children: parse(match[1]) };
+    }
+    return null;
+}
+
+function parseInline(text, { quotes = true } = {}) {
+    const nodes = [];
+    let buffer = '';
+    const flush = () => {
+        if (buffer) nodes.push({ type: 'text', text: buffer });
+        buffer = '';
+    };
+    const parse = (inner) => parseInline(inner, { quotes: false });
+    let pos = 0;
+    while (pos < text.length) {
+        const lineStart = pos === 0 || text[pos - 1] === '\n';
+        // ">>> " quotes the rest of the message, "> " a single line
+        if (quotes && lineStart && text[pos] === '>') {
+            const rest = /^>>> ([^]*)$/.exec(text.slice(pos)) || /^> ([^\n]*)\n?/.exec(text.slice(pos));
+            if (rest) {
+                flush();
+                nodes.push({ type: 'quote', children: parse(rest[1]) });
+                pos += rest[0].length;
+                continue;
+            }
+        }
+        const found = text[pos] === '\n' ? null : matchRule(text, pos);
+        const node = found && toNode(found.type, found.match, parse);
+        if (node?.type === 'text') {
+            buffer += node.text;
+            pos += found.match[0].length;
+            continue;
+        }
+        if (node) {
+            flush();
+            nodes.push(node);
+            pos += found.match[0].length;
+            // A code block is a block of its own; drop the line break after it
+            if (node.type === 'codeblock' && text[pos] === '\n') pos++;
+            continue;
+        }
+        // Copy plain text up to the next character that may start a rule
+        SPECIAL.lastIndex = pos + 1;
+        const next = SPECIAL.exec(text);
+        const end = next ? next.index : text.length;
+        buffer += text.slice(pos, end);
+        pos = end;
+    }
+    flush();
+    return nodes;
+}
+
+// Parse message content into a tree of nodes
+export function parseMarkdown(text) {
+    return parseInline(String(text ?? ''));
+}
+
+const RELATIVE_UNITS = [
+    ['year', 365 * 24 * 3600],
+    ['month', 30 * 24 * 3600],
+    ['day', 24 * 3600],
+    ['hour', 3600],
+    ['minute', 60],
+    ['second', 1]
+];
+
+// Format a <t:…> tag the way the Discord client does, in the chosen time zone
+export function formatTimestampTag(time, style = 'f', now = Date.now()) {
+    const date = new Date(time);
+    if (isNaN(date)) return String(time);
+    if (style === 'R') {
+        const seconds = Math.round((time - now) / 1000);
+        const [unit, size] = RELATIVE_UNITS.find(([, s]) => Math.abs(seconds) >= s) || RELATIVE_UNITS[RELATIVE_UNITS.length - 1];
+        return new Intl.RelativeTimeFormat(getSetting('locale') || undefined, { numeric: 'auto' }).format(Math.round(seconds / size), unit);
+    }
+    const formats = {
+        t: { timeStyle: 'short' },
+        T: { timeStyle: 'medium' },
+        d: { dateStyle: 'short' },
+        D: { dateStyle: 'long' },
+        f: { dateStyle: 'long', timeStyle: 'short' },
+        F: { dateStyle: 'full', timeStyle: 'short' }
+    };
+    return dateFormatter(formats[style] || formats.f).format(date);
+}
+
+const ELEMENTS = {
+    strong: 'strong',
+    em: 'em',
+    underline: 'u',
+    strike: 's'
+};
+
+function plainText(nodes) {
+    return nodes.map(node => node.text ?? (node.children ? plainText(node.children) : '')).join('');
+}
+
+function renderNodes(nodes, context, parent) {
+    for (const node of nodes) {
+        parent.appendChild(renderNode(node, context));
+    }
+    return parent;
+}
+
+function renderNode(node, context) {
+    if (ELEMENTS[node.type]) {
+        return renderNodes(node.children, context, document.createElement(ELEMENTS[node.type]));
+    }
+    switch (node.type) {
+        case 'text':
+            return document.createTextNode(node.text);
+        case 'code': {
+            const code = document.createElement('code');
+            code.textContent = node.text;
+            return code;
+        }
+        case 'codeblock': {
+            const pre = document.createElement('pre');
+            const code = document.createElement('code');
+            code.textContent = node.text;
+            if (node.lang) code.dataset.lang = node.lang;
+            pre.appendChild(code);
+            return pre;
+        }
+        case 'quote':
+            return renderNodes(node.children, context, document.createElement('blockquote'));
+        case 'spoiler': {
+            const span = renderNodes(node.children, context, document.createElement('span'));
+            span.className = 'spoiler';
+            span.title = 'Spoiler – click to reveal';
+            span.addEventListener('click', (e) => {
+                if (span.classList.contains('revealed')) return;
+                e.stopPropagation();
+                span.classList.add('revealed');
+                span.removeAttribute('title');
+            });
+            return span;
+        }
+        case 'user':
+        case 'role': {
+            const span = document.createElement('span');
+            span.className = 'mention';
+            const name = node.type === 'user' ? context.users?.get(node.id) : null;
+            span.textContent = name ? `@${name}` : node.type === 'role' ? `@role-${node.id}` : `@${node.id}`;
+            span.title = `${node.type === 'role' ? 'Role' : 'User'} ID ${node.id}`;
+            return span;
+        }
+        case 'channel': {
+            const channel = context.channels?.get(node.id);
+            if (!channel) {
+                const span = document.createElement('span');
+                span.className = 'mention';
+                span.textContent = `#${node.id}`;
+                span.title = `Channel ID ${node.id} (not in this export)`;
+                return span;
+            }
+            const link = document.createElement('a');
+            link.className = 'mention';
+            link.href = formatRoute('messages', { channel: channel.dir });
+            link.textContent = `#${channel.name}`;
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                document.dispatchEvent(new CustomEvent('navigate', { detail: { section: 'messages', channel: channel.dir } }));
+            });
+            return link;
+        }
+        case 'emoji': {
+            const span = document.createElement('span');
+            span.className = 'emoji';
+            span.textContent = `:${node.name}:`;
+            span.title = `Custom ${node.animated ? 'animated ' : ''}emoji ${node.name} (${node.id})`;
+            return span;
+        }
+        case 'timestamp': {
+            const time = document.createElement('time');
+            const date = new Date(node.time);
+            time.className = 'mention';
+            time.textContent = formatTimestampTag(node.time, node.style);
+            if (!isNaN(date)) {
+                time.dateTime = date.toISOString();
+                time.title = formatTimestampTag(node.time, 'F');
+            }
+            return time;
+        }
+        case 'link':
+            // The title of the link shows where a masked link really points
+            return createExternalLink(node.url, plainText(node.children) || node.url);
+    }
+    return document.createTextNode('');
+}
+
+// Render message content into a DocumentFragment
+export function renderMarkdown(text, context = {}) {
+    return renderNodes(parseMarkdown(text), context, document.createDocumentFragment());
+}
@@ -0,0 +1,145 @@
+// message-view.js
+// Windowed list used by the Messages section. Only the rows inside (or
+// just around) the visible area exist in the DOM, so channels with 100k+
+// messages open instantly. Row heights vary with the content, so every row
+// starts with an estimated height that is replaced by its measured height
+// once it has been rendered.
+
+// Binary search for the row that contains the vertical position y
+function indexAt(offsets, count, y) {
+    let lo = 0;
+    let hi = count - 1;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (offsets[mid] <= y) lo = mid;
+        else hi = mid - 1;
+    }
+    return Math.max(0, lo);
+}
+
+// Create a windowed view over `messages`. renderRow(message, index) returns
+// the element for one row. Returns the element to insert plus methods to
+// scroll to a row or message, to read the current position and to destroy
+// the view once it is replaced.
+export function createMessageView(messages, { renderRow, estimatedHeight = 48, overscan = 8 } = {}) {
+    const count = messages.length;
+    const heights = new Float64Array(count).fill(estimatedHeight);
+    const offsets = new Float64Array(count + 1);
+    let highlightedId = null;
+    let rendered = { start: -1, end: -1 };
+
+    const viewport = document.createElement('div');
+    viewport.className = 'message-viewport';
+    const spacer = document.createElement('div');
+    spacer.style.position = 'relative';
+    const rows = document.createElement('div');
+    rows.style.position = 'absolute';
+    rows.style.left = 0;
+    rows.style.right = 0;
+    spacer.appendChild(rows);
+    viewport.appendChild(spacer);
+
+    const computeOffsets = (from = 0) => {
+        for (let i = from; i < count; i++) offsets[i + 1] = offsets[i] + heights[i];
+        spacer.style.height = `${offsets[count]}px`;
+    };
+    computeOffsets();
+
+    const render = (force = false) => {
+        if (!count) return;
+        const top = viewport.scrollTop;
+        const bottom = top + viewport.clientHeight;
+        const start = Math.max(0, indexAt(offsets, count, top) - overscan);
+        const end = Math.min(count, indexAt(offsets, count, bottom) + 1 + overscan);
+        if (!force && start === rendered.start && end === rendered.end) return;
+        rendered = { start, end };
+
+        rows.innerHTML = '';
+        for (let i = start; i < end; i++) {
+            const row = renderRow(messages[i], i);
+            row.dataset.index = i;
+            if (highlightedId !== null && String(messages[i].id) === highlightedId) {
+                row.classList.add('highlight');
+            }
+            rows.appendChild(row);
+        }
+
+        // Replace estimates with measured heights and keep the first visible
+        // row in place when rows above it changed size
+        let changed = -1;
+        Array.from(rows.children).forEach((row, k) => {
+            const h = row.offsetHeight;
+            const i = start + k;
+            if (h && h !== heights[i]) {
+                heights[i] = h;
+                if (changed < 0) changed = i;
+            }
+        });
+        if (changed >= 0) {
+            const anchor = indexAt(offsets, count, top);
+            const anchorOffset = offsets[anchor];
+            computeOffsets(changed);
+            if (changed < anchor) viewport.scrollTop += offsets[anchor] - anchorOffset;
+        }
+        rows.style.top = `${offsets[start]}px`;
+        // Rows smaller than estimated leave too few rows below the visible
+        // area; measured rows keep their height, so this settles quickly
+        if (changed >= 0 && indexAt(offsets, count, viewport.scrollTop + viewport.clientHeight) + 1 + overscan > end && end < count) {
+            render(true);
+        }
+    };
+
+    let scheduled = false;
+    viewport.addEventListener('scroll', () => {
+        if (scheduled) return;
+        scheduled = true;
+        requestAnimationFrame(() => {
+            scheduled = false;
+            render();
+        });
+    });
+    // Views that were removed without destroy() stop listening on the next resize
+    const onResize = () => {
+        if (!viewport.isConnected) {
+            window.removeEventListener('resize', onResize);
+            return;
+        }
+        render(true);
+    };
+    window.addEventListener('resize', onResize);
+
+    const scrollToIndex = (index) => {
+        if (!count) return;
+        const i = Math.min(Math.max(0, index), count - 1);
+        viewport.scrollTop = offsets[i];
+        render(true);
+        // Measuring may have moved the row, so settle on its final offset
+        viewport.scrollTop = offsets[i];
+        render(true);
+    };
+
+    return {
+        element: viewport,
+        // Render the rows for the current position (call after inserting the element)
+        refresh: () => render(true),
+        scrollToIndex,
+        scrollToTop: () => scrollToIndex(0),
+        scrollToBottom: () => scrollToIndex(count - 1),
+        // Scroll to and highlight a message by its ID; returns false if not found
+        scrollToMessage: (id) => {
+            const index = messages.findIndex(m => String(m.id) === String(id));
+            if (index < 0) return false;
+            highlightedId = String(id);
+            scrollToIndex(index);
+            return true;
+        },
+        // Highlight a message without scrolling, e.g. the one the user clicked
+        highlightMessage: (id) => {
+            highlightedId = String(id);
+            render(true);
+        },
+        firstVisibleIndex: () => indexAt(offsets, count, viewport.scrollTop),
+        // Stop listening for window resizes
+        destroy: () => window.removeEventListener('resize', onResize)
+    };
+}
@@ -3,6 +3,27 @@
 
 /* global JSZip */
 
+import { createMessageView } from './message-view.js';
+import { createExportControls, toCsv, toJson } from './export.js';
+import { createAttachmentLink } from './offline.js';
+import { parseMarkdown, renderMarkdown } from './markdown.js';
+import { createCalendar } from './calendar.js';
+import { getSetting, setSetting } from './settings.js';
+import { dayKey, formatDateTime, formatDay, formatTime } from './time.js';
+
+// Section registration (see registry.js). Every channel is searchable.
+export const section = {
+    id: 'messages',
+    label: 'Messages',
+    order: 20,
+    paths: [/^Messages\//i],
+    search: (zip) => listChannelDirs(zip).sort().map(dir => ({
+        key: dir,
+        section: 'messages',
+        load: async () => ({ info: await readChannelInfo(zip, dir), messages: await readMessages(zip, dir) })
+    }))
+};
+
 async function readJson(zip, path) {
     const file = zip.file(path);
     if (!file) throw new Error(`File not found: ${path}`);
@@ -10,19 +31,155 @@ async function readJson(zip, path) {
     return JSON.parse(text);
 }
 
-function parseCsv(text) {
-    const lines = text.trim().split(/\r?\n/);
-    if (lines.length === 0) return [];
-    const headers = lines[0].split(',');
-    return lines.slice(1).map(line => {
-        const values = line.split(',');
+// Incremental RFC 4180 reader. Text can be pushed in arbitrary chunks (a
+// quoted field or a CRLF may be split between two chunks); onRow is called
+// with an object keyed by the header row for every complete record.
+// Handles quoted fields, escaped quotes (""), line breaks inside quotes,
+// a leading BOM, blank lines and rows with missing trailing columns.
+function createCsvReader(onRow) {
+    let headers = null;
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    let afterQuote = false; // a quote closed the field, unless it is doubled
+    let skipLF = false; // the previous character was the CR of a CRLF
+    let atStart = true;
+
+    const endRecord = () => {
+        record.push(field);
+        field = '';
+        const values = record;
+        record = [];
+        // Blank lines are not records
+        if (values.length === 1 && values[0] === '') return;
+        if (!headers) {
+            headers = values.map(h => h.trim());
+            return;
+        }
         const obj = {};
-        headers.forEach((h, i) => obj[h] = values[i]);
-        return obj;
+        headers.forEach((h, i) => obj[h] = values[i] ?? '');
+        onRow(obj);
+    };
+
+    const push = (chunk) => {
+        let i = 0;
+        if (atStart && chunk.length) {
+            atStart = false;
+            if (chunk.charCodeAt(0) === 0xFEFF) i = 1;
+        }
+        for (; i < chunk.length; i++) {
+            const c = chunk[i];
+            if (skipLF) {
+                skipLF = false;
+                if (c === '\n') continue;
+            }
+            if (inQuotes) {
+                // Copy everything up to the next quote in one go
+                const end = chunk.indexOf('"', i);
+                if (end === -1) {
+                    field += chunk.slice(i);
+                    break;
+                }
+                field += chunk.slice(i, end);
+                i = end;
+                inQuotes = false;
+                afterQuote = true;
+                continue;
+            }
+            if (afterQuote) {
+                afterQuote = false;
+                if (c === '"') {
+                    field += '"';
+                    inQuotes = true;
+                    continue;
+                }
+            }
+            if (c === '"' && field === '') {
+                inQuotes = true;
+            } else if (c === ',') {
+                record.push(field);
+                field = '';
+            } else if (c === '\n' || c === '\r') {
+                endRecord();
+                skipLF = c === '\r';
+            } else {
+                field += c;
+            }
+        }
+    };
+
+    const end = () => {
+        if (field !== '' || record.length) endRecord();
+        inQuotes = false;
+        afterQuote = false;
+    };
+
+    return { push, end };
+}
+
+// Parse a complete CSV text into row objects keyed by the header row
+export function parseCsv(text) {
+    const rows = [];
+    const reader = createCsvReader(row => rows.push(row));
+    reader.push(text);
+    reader.end();
+    return rows;
+}
+
+// Decompress a file from the ZIP chunk by chunk, passing the text and
+// JSZip's progress metadata ({ percent }) to onChunk. Returning false from
+// onChunk stops reading: the stream is paused, the only way to stop it
+// through JSZip's public API, and dropped, so nothing keeps its buffers.
+// Shared by every section that reads a file in pieces.
+export function streamText(file, onChunk) {
+    return new Promise((resolve, reject) => {
+        let stopped = false;
+        const stream = file.internalStream('string');
+        stream
+            .on('data', (chunk, meta) => {
+                if (stopped || onChunk(chunk, meta) !== false) return;
+                stopped = true;
+                stream.pause();
+                resolve();
+            })
+            .on('error', (err) => {
+                if (!stopped) reject(err);
+            })
+            .on('end', () => {
+                if (!stopped) resolve();
+            })
+            .resume();
     });
 }
 
-async function readMessages(zip, dir) {
+// Parse an export timestamp ("2021-05-01 08:00:00.000000+00:00" in CSV
+// files, ISO 8601 in JSON files) into a Date. Timestamps without an offset
+// are UTC. Returns null for empty or invalid values.
+export function parseTimestamp(value) {
+    if (value === undefined || value === null || value === '') return null;
+    let text = String(value).trim().replace(' ', 'T').replace(/(\.\d{3})\d+/, '$1');
+    if (/T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) text += 'Z';
+    const date = new Date(text);
+    return isNaN(date) ? null : date;
+}
+
+// Channel reads per loaded ZIP ("messages:dir" / "info:dir" -> promise),
+// shared by every section that walks the channels (Messages, Stats,
+// Attachments, Compare, …) so each channel is decompressed and parsed once
+const channelReads = new WeakMap();
+
+function cachedRead(zip, key, read) {
+    if (!channelReads.has(zip)) channelReads.set(zip, new Map());
+    const cache = channelReads.get(zip);
+    if (!cache.has(key)) cache.set(key, read());
+    return cache.get(key);
+}
+
+export function readMessages(zip, dir) {
+    return cachedRead(zip, `messages:${dir}`, () => parseMessages(zip, dir));
+}
+
+async function parseMessages(zip, dir) {
     const jsonPath = `Messages/${dir}/messages.json`;
     const csvPath = `Messages/${dir}/messages.csv`;
     if (zip.file(jsonPath)) {
@@ -34,44 +191,215 @@ async function readMessages(zip, dir) {
             attachments: m.Attachments ?? m.attachments ?? ''
         }));
     } else if (zip.file(csvPath)) {
-        const text = await zip.file(csvPath).async('string');
-        const parsed = parseCsv(text);
-        return parsed.map(m => ({
+        // Parse while decompressing so the raw CSV text is never held as a whole
+        const messages = [];
+        const reader = createCsvReader(m => messages.push({
             id: m.ID,
             timestamp: m.Timestamp,
             content: m.Contents,
             attachments: m.Attachments
         }));
+        await streamText(zip.file(csvPath), chunk => reader.push(chunk));
+        reader.end();
+        return messages;
     }
     return [];
 }
 
-async function readChannelInfo(zip, dir) {
+// File extensions per attachment type
+const ATTACHMENT_TYPES = {
+    image: ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', 'svg', 'avif', 'heic', 'tif', 'tiff'],
+    video: ['mp4', 'webm', 'mov', 'mkv', 'avi', 'm4v'],
+    audio: ['mp3', 'ogg', 'wav', 'flac', 'm4a', 'opus', 'aac'],
+    document: ['pdf', 'txt', 'md', 'doc', 'docx', 'odt', 'rtf', 'xls', 'xlsx', 'ods', 'csv', 'ppt', 'pptx', 'json', 'log'],
+    archive: ['zip', 'rar', '7z', 'tar', 'gz', 'bz2', 'xz']
+};
+
+// The Attachments field holds zero or more space-separated URLs. Each one
+// is returned with its file name, extension, type and, when the URL carries
+// width/height parameters, a size hint.
+export function splitAttachments(value) {
+    return String(value ?? '').split(/\s+/).filter(Boolean).map(url => {
+        const path = url.split(/[?#]/)[0];
+        let filename = path.split('/').pop() || '';
+        try {
+            filename = decodeURIComponent(filename);
+        } catch (_) {
+            // Keep the raw name if it is not valid percent-encoding
+        }
+        const ext = filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+        const type = Object.keys(ATTACHMENT_TYPES).find(t => ATTACHMENT_TYPES[t].includes(ext)) || 'other';
+        let sizeHint = null;
+        const query = url.match(/\?([^#]*)/);
+        if (query) {
+            const params = new URLSearchParams(query[1]);
+            if (params.get('width') && params.get('height')) sizeHint = `${params.get('width')}×${params.get('height')}`;
+        }
+        return { url, filename, ext, type, sizeHint };
+    });
+}
+
+// Messages sent within this many minutes of the previous one share its
+// header in the chat layout
+const CHAT_GROUP_MINUTES = 7;
+
+// Items of the chat layout for the messages at `indexes`: sorted by time,
+// a { separator: day, date } item before every new day and { id, index,
+// grouped } per message. dates and days hold each message's parsed
+// timestamp and day.
+function chatItems(messages, indexes, dates, days) {
+    const time = (i) => dates[i] ? dates[i].getTime() : Infinity;
+    const sorted = indexes.slice().sort((a, b) => time(a) === time(b) ? a - b : time(a) - time(b));
+    const list = [];
+    let previous = null;
+    for (const i of sorted) {
+        if (!list.length || days[i] !== days[previous]) {
+            list.push({ separator: days[i], date: dates[i] });
+            previous = null;
+        }
+        const grouped = previous !== null && !!dates[i] && !!dates[previous] &&
+            time(i) - time(previous) <= CHAT_GROUP_MINUTES * 60000;
+        list.push({ id: messages[i].id, index: i, grouped });
+        previous = i;
+    }
+    return list;
+}
+
+// Last viewed message per channel directory, per loaded ZIP
+const scrollPositions = new WeakMap();
+
+// Channels read at a time while the channel list is built
+const CHANNEL_BATCH = 50;
+
+// Channel types for threads (announcement, public and private threads)
+const THREAD_TYPES = [10, 11, 12];
+// Channel types for direct and group direct messages
+const DM_TYPES = [1, 3];
+
+// Parsed Messages/index.json per loaded ZIP, so it is only read once
+const channelIndexes = new WeakMap();
+
+// Messages/index.json maps channel IDs to labels such as
+// "Direct Message with foo#0" or "general in Some Server" (null for
+// channels Discord could not name, e.g. deleted ones).
+export function readChannelIndex(zip) {
+    if (!channelIndexes.has(zip)) {
+        const load = zip.file('Messages/index.json')
+            ? readJson(zip, 'Messages/index.json').catch(() => ({}))
+            : Promise.resolve({});
+        channelIndexes.set(zip, load.then(index => new Map(Object.entries(index || {}))));
+    }
+    return channelIndexes.get(zip);
+}
+
+// Split an index.json label into its parts. When the guild name is already
+// known from channel.json it is used to cut the label, because thread and
+// server names may contain " in " themselves.
+function parseIndexLabel(label, knownGuild) {
+    if (typeof label !== 'string' || !label.trim()) return null;
+    const dm = label.match(/^Direct Message with (.+)$/);
+    // Usernames migrated off discriminators are shown as "name#0"
+    if (dm) return { name: dm[1].replace(/#0$/, ''), guild: null, is_dm: true };
+    if (knownGuild && label.endsWith(` in ${knownGuild}`)) {
+        return { name: label.slice(0, -(` in ${knownGuild}`.length)), guild: knownGuild, is_dm: false };
+    }
+    const pos = label.indexOf(' in ');
+    if (pos > 0) return { name: label.slice(0, pos), guild: label.slice(pos + 4), is_dm: false };
+    // Labels without a server are group DMs with a custom name
+    return { name: label, guild: null, is_dm: true };
+}
+
+// Recipients are user objects in older exports and plain IDs in newer ones
+function normalizeRecipients(ch) {
+    const list = Array.isArray(ch.recipients) ? ch.recipients : ch.recipient ? [ch.recipient] : [];
+    return list.map(r => typeof r === 'object' && r !== null
+        ? { id: r.id ?? null, username: r.global_name || r.username || null }
+        : { id: String(r), username: null });
+}
+
+export function readChannelInfo(zip, dir) {
+    return cachedRead(zip, `info:${dir}`, () => parseChannelInfo(zip, dir));
+}
+
+async function parseChannelInfo(zip, dir) {
     const path = `Messages/${dir}/channel.json`;
-    try {
-        const ch = await readJson(zip, path);
-        const isDM = !ch.guild_id && (ch.type === 1 || ch.type === 3 || ch.recipients?.length);
-        const info = {
-            id: ch.id,
-            name: ch.name || ch.recipients?.[0]?.username || ch.recipient?.username || `DM ${dir}`,
-            type: ch.type,
-            is_dm: !!isDM,
-            guild: ch.guild?.name ?? null
-        };
-        return info;
-    } catch (_) {
-        const fallback = {
-            id: dir,
-            name: `DM ${dir}`,
-            type: '',
-            is_dm: true,
-            guild: null
-        };
-        return fallback;
+    const index = await readChannelIndex(zip);
+    const { selfId } = await readAccountNames(zip);
+    // Deleted channels often ship without channel.json; index.json may still
+    // name them. A channel.json that cannot be read is named the same way,
+    // and its error is kept so the channel list can show it.
+    let ch = {};
+    let error = null;
+    if (zip.file(path)) {
+        try {
+            ch = await readJson(zip, path);
+            if (!ch || typeof ch !== 'object' || Array.isArray(ch)) throw new Error('channel.json does not hold an object');
+        } catch (err) {
+            console.error('Could not read', path, err);
+            ch = {};
+            error = err.message;
+        }
+    }
+    const id = ch.id ?? dir.replace(/^c(?=\d+$)/, '');
+    const label = parseIndexLabel(index.get(String(id)), ch.guild?.name);
+    const recipients = normalizeRecipients(ch);
+    const isThread = THREAD_TYPES.includes(ch.type);
+    const isGroup = ch.type === 3 || recipients.length > 2;
+    const hasGuild = !!(ch.guild || ch.guild_id || label?.guild);
+    const isDM = !hasGuild && (DM_TYPES.includes(ch.type) || recipients.length > 0 || label?.is_dm === true);
+
+    // Newer exports list group members as bare IDs, the account's own
+    // included; those are only used when index.json has no label either
+    const others = recipients.filter(r => !selfId || String(r.id) !== selfId);
+    let name = ch.name || null;
+    if (!name && isGroup && others.some(r => r.username)) {
+        name = others.map(r => r.username || r.id).join(', ');
     }
+    name = name || label?.name ||
+        (isGroup && others.length ? others.map(r => r.id).join(', ') : null) ||
+        recipients.find(r => r.username)?.username || `Unknown channel ${id}`;
+
+    return {
+        id,
+        name,
+        type: ch.type ?? '',
+        is_dm: isDM,
+        is_group: isDM && isGroup,
+        is_thread: isThread,
+        parentId: ch.parent_id ?? null,
+        guild: ch.guild?.name ?? label?.guild ?? null,
+        guildId: ch.guild?.id ?? ch.guild_id ?? null,
+        recipients,
+        error
+    };
 }
 
-function listChannelDirs(zip) {
+// Names from Account/user.json per loaded ZIP: self is the account's own
+// name and selfId its ID, users maps the account and every relationship (nickname, then
+// display name) by user ID for mentions
+const accountNames = new WeakMap();
+
+function readAccountNames(zip) {
+    if (!accountNames.has(zip)) {
+        const load = zip.file('Account/user.json')
+            ? readJson(zip, 'Account/user.json').catch(() => ({}))
+            : Promise.resolve({});
+        accountNames.set(zip, load.then((user) => {
+            const self = user?.global_name || user?.username || null;
+            const names = new Map();
+            if (user?.id) names.set(String(user.id), self || String(user.id));
+            for (const r of Array.isArray(user?.relationships) ? user.relationships : []) {
+                const id = String(r.id ?? r.user?.id ?? '');
+                const name = r.nickname || r.user?.global_name || r.user?.username;
+                if (id && name) names.set(id, name);
+            }
+            return { self, selfId: user?.id ? String(user.id) : null, users: names };
+        }));
+    }
+    return accountNames.get(zip);
+}
+
+export function listChannelDirs(zip) {
     const dirs = new Set();
     zip.forEach((relativePath, file) => {
         const match = relativePath.match(/^Messages\/([^/]+)\/(?:messages\.json|messages\.csv|channel\.json)$/);
@@ -82,8 +410,16 @@ function listChannelDirs(zip) {
     return Array.from(dirs);
 }
 
-export async function render(zip, container) {
+// Render the messages page. options.channel selects a channel directory
+// and options.messageId highlights one of its messages (e.g. when navigating
+// here from another section or from a link). Selecting a channel or a
+// message is reported with a "route" event so main.js can update the URL.
+// Channels appear as they are read; one that cannot be read is listed with
+// its error. Resolves once every channel is listed.
+export async function render(zip, container, options = {}) {
     container.innerHTML = '';
+    if (!scrollPositions.has(zip)) scrollPositions.set(zip, new Map());
+    const positions = scrollPositions.get(zip);
     const wrapper = document.createElement('div');
     wrapper.style.display = 'flex';
     wrapper.style.flexWrap = 'wrap';
@@ -112,8 +448,6 @@ export async function render(zip, container) {
     dmDetails.open = false;
     channelList.appendChild(dmDetails);
 
-    const guildMap = new Map();
-
     const messageView = document.createElement('div');
     messageView.style.flex = '1';
     messageView.className = 'card';
@@ -133,119 +467,423 @@ export async function render(zip, container) {
     wrapper.appendChild(messageView);
     container.appendChild(wrapper);
 
+    // Names for <@user> and <#channel> mentions in message contents. Every
+    // channel of the export is known from its folder and index.json before
+    // the first channel opens; names from channel.json replace these while
+    // the channel list is built.
+    const account = await readAccountNames(zip);
+    const mentions = { users: new Map(account.users), channels: new Map() };
     const dirs = listChannelDirs(zip).sort();
+    const index = await readChannelIndex(zip);
     for (const dir of dirs) {
-        const info = await readChannelInfo(zip, dir);
-        const li = document.createElement('li');
-        li.style.padding = '0.5rem';
-        li.style.cursor = 'pointer';
-        li.style.borderBottom = '1px solid #eee';
+        const id = dir.replace(/^c(?=\d+$)/, '');
+        mentions.channels.set(id, { dir, name: parseIndexLabel(index.get(id))?.name || id });
+    }
 
-        let channelName = info.name?.trim() || `DM ${info.id}`;
-        li.textContent = channelName;
+    // The channel currently shown, so its scroll position can be saved
+    let current = null;
+    let pendingDir = null;
 
-        li.addEventListener('click', async () => {
-            document.querySelectorAll('li').forEach(item => {
-                item.style.backgroundColor = '';
-            });
-            li.style.backgroundColor = '#f1f4f8';
+    const showChannel = async (dir, info, li) => {
+        if (current) {
+            positions.set(current.dir, current.firstVisibleId());
+            current.view.destroy();
+        }
+        current = null;
+        pendingDir = dir;
+        document.querySelectorAll('li').forEach(item => {
+            item.style.backgroundColor = '';
+        });
+        li.style.backgroundColor = '#f1f4f8';
+
+        msgContainer.innerHTML = 'Loading messages…';
+        let messages;
+        try {
+            messages = await readMessages(zip, dir);
+        } catch (err) {
+            if (pendingDir !== dir) return;
+            console.error('Error reading messages', dir, err);
+            msgHeading.textContent = `Messages in ${info.name}`;
+            msgContainer.textContent = `⚠️ The messages of this channel could not be read: ${err.message}`;
+            return;
+        }
+        // Another channel was clicked while this one was loading
+        if (pendingDir !== dir) return;
+        msgHeading.textContent = `Messages in ${info.name}${info.guild && !info.is_dm ? ', ' + info.guild : ''} `;
+        const statsLink = document.createElement('a');
+        statsLink.href = '#';
+        statsLink.textContent = '📊 Stats';
+        statsLink.style.fontSize = '0.9rem';
+        statsLink.addEventListener('click', (e) => {
+            e.preventDefault();
+            document.dispatchEvent(new CustomEvent('navigate', { detail: { section: 'stats', channel: dir } }));
+        });
+        msgHeading.appendChild(statsLink);
+        const attachmentsLink = document.createElement('a');
+        attachmentsLink.href = '#';
+        attachmentsLink.textContent = ' 📎 Attachments';
+        attachmentsLink.style.fontSize = '0.9rem';
+        attachmentsLink.addEventListener('click', (e) => {
+            e.preventDefault();
+            document.dispatchEvent(new CustomEvent('navigate', { detail: { section: 'attachments', channel: dir } }));
+        });
+        msgHeading.appendChild(attachmentsLink);
+
+        if (!messages.length) {
+            msgContainer.textContent = 'No messages in this channel.';
+            return;
+        }
+
+        // Parse every timestamp once; days are taken in the chosen time zone
+        const dates = messages.map(m => parseTimestamp(m.timestamp));
+        const days = dates.map(date => date ? dayKey(date) : null);
+        const dayCounts = new Map();
+        days.forEach(day => {
+            if (day) dayCounts.set(day, (dayCounts.get(day) || 0) + 1);
+        });
+        const sortedDays = Array.from(dayCounts.keys()).sort();
 
-            msgContainer.innerHTML = 'Loading messages…';
-            const messages = await readMessages(zip, dir);
-            msgHeading.textContent = `Messages in ${info.name}${info.guild && !info.is_dm ? ', ' + info.guild : ''}`;
+        const toolbar = document.createElement('div');
+        toolbar.style.display = 'flex';
+        toolbar.style.flexWrap = 'wrap';
+        toolbar.style.gap = '0.5rem';
+        toolbar.style.alignItems = 'center';
+        toolbar.style.marginBottom = '0.5rem';
 
-            if (!messages.length) {
-                msgContainer.textContent = 'No messages in this channel.';
-                return;
+        const countLabel = document.createElement('span');
+        countLabel.style.marginRight = 'auto';
+        const layoutSelect = document.createElement('select');
+        layoutSelect.title = 'Layout';
+        [['table', '📋 Table'], ['chat', '💬 Chat']].forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            layoutSelect.appendChild(option);
+        });
+        layoutSelect.value = getSetting('messageLayout');
+        const rangeLabel = document.createElement('label');
+        rangeLabel.textContent = 'From ';
+        const fromInput = document.createElement('input');
+        fromInput.type = 'date';
+        const toInput = document.createElement('input');
+        toInput.type = 'date';
+        [fromInput, toInput].forEach(input => {
+            input.min = sortedDays[0] || '';
+            input.max = sortedDays[sortedDays.length - 1] || '';
+        });
+        rangeLabel.appendChild(fromInput);
+        rangeLabel.appendChild(document.createTextNode(' to '));
+        rangeLabel.appendChild(toInput);
+        const calendarBtn = document.createElement('button');
+        calendarBtn.textContent = '📅 Jump to date';
+        calendarBtn.disabled = !sortedDays.length;
+        const topBtn = document.createElement('button');
+        topBtn.textContent = '⏫ Top';
+        const bottomBtn = document.createElement('button');
+        bottomBtn.textContent = '⏬ Bottom';
+        // Only the messages inside the date range are exported
+        const exportControls = createExportControls(() => [{ info, messages: visible.map(i => messages[i]) }], info.guild && !info.is_dm ? `${info.guild} ${info.name}` : info.name);
+        [countLabel, layoutSelect, rangeLabel, calendarBtn, topBtn, bottomBtn, exportControls].forEach(el => toolbar.appendChild(el));
+
+        const calendarHolder = document.createElement('div');
+        calendarHolder.className = 'hidden';
+
+        const header = document.createElement('div');
+        header.className = 'message-row message-header';
+        ['Timestamp', 'Content', 'Attachments'].forEach(text => {
+            const cell = document.createElement('div');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+        const viewHolder = document.createElement('div');
+
+        // Timestamp in the chosen time zone, with the value from the export on hover
+        const timeElement = (index, format) => {
+            const el = document.createElement('time');
+            const date = dates[index];
+            el.textContent = date ? format(date) : messages[index].timestamp || '—';
+            if (date) el.dateTime = date.toISOString();
+            el.title = messages[index].timestamp;
+            return el;
+        };
+
+        const contentElement = (m) => {
+            const contentCell = document.createElement('div');
+            contentCell.className = 'markdown';
+            contentCell.appendChild(renderMarkdown(m.content, mentions));
+            return contentCell;
+        };
+
+        const attachmentsElement = (m) => {
+            const att = document.createElement('div');
+            att.style.wordBreak = 'break-all';
+            for (const attachment of splitAttachments(m.attachments)) {
+                const line = document.createElement('div');
+                line.appendChild(createAttachmentLink(attachment));
+                att.appendChild(line);
+            }
+            return att;
+        };
+
+        const renderTableRow = (item) => {
+            const m = messages[item.index];
+            const row = document.createElement('div');
+            row.className = 'message-row';
+            row.dataset.messageId = m.id;
+            const ts = document.createElement('div');
+            ts.appendChild(timeElement(item.index, formatDateTime));
+            row.appendChild(ts);
+            row.appendChild(contentElement(m));
+            row.appendChild(attachmentsElement(m));
+            return row;
+        };
+
+        // Chat layout: day separators, and messages sent within a few
+        // minutes of the previous one are grouped under its header
+        const renderChatRow = (item) => {
+            const row = document.createElement('div');
+            if (item.separator !== undefined) {
+                row.className = 'chat-day';
+                row.textContent = item.date ? formatDay(item.date) : 'Unknown date';
+                return row;
+            }
+            const m = messages[item.index];
+            row.className = item.grouped ? 'chat-message grouped' : 'chat-message';
+            row.dataset.messageId = m.id;
+            if (item.grouped) {
+                const gutter = timeElement(item.index, formatTime);
+                gutter.className = 'chat-gutter';
+                row.appendChild(gutter);
+            } else {
+                const author = document.createElement('div');
+                author.className = 'chat-author';
+                const name = document.createElement('strong');
+                name.textContent = account.self || 'You';
+                author.appendChild(name);
+                author.appendChild(document.createTextNode(' '));
+                author.appendChild(timeElement(item.index, formatDateTime));
+                row.appendChild(author);
             }
+            row.appendChild(contentElement(m));
+            if (m.attachments) row.appendChild(attachmentsElement(m));
+            return row;
+        };
 
-            const table = document.createElement('table');
-            table.style.wordBreak = 'break-word';
-            table.style.tableLayout = 'fixed';
-            table.style.width = '100%';
-            table.style.borderCollapse = 'collapse';
-
-            const thead = document.createElement('thead');
-            const headRow = document.createElement('tr');
-            ['Timestamp', 'Content', 'Attachments'].forEach(text => {
-                const th = document.createElement('th');
-                th.textContent = text;
-                th.style.textAlign = 'left';
-                th.style.padding = '0.5rem';
-                th.style.borderBottom = '1px solid #ccc';
-                th.style.maxWidth = '300px';
-                th.style.overflowWrap = 'break-word';
-                headRow.appendChild(th);
-            });
-            thead.appendChild(headRow);
-            table.appendChild(thead);
-
-            const tbody = document.createElement('tbody');
-            messages.forEach(m => {
-                const tr = document.createElement('tr');
-
-                const ts = document.createElement('td');
-                ts.textContent = m.timestamp;
-
-                const contentCell = document.createElement('td');
-                contentCell.textContent = m.content;
-
-                const att = document.createElement('td');
-                att.style.maxWidth = '300px';
-                att.style.wordBreak = 'break-all';
-                att.style.overflowWrap = 'break-word';
-
-                if (m.attachments && m.attachments.startsWith('http')) {
-                    const link = document.createElement('a');
-                    link.href = m.attachments;
-                    link.textContent = '📎 Open attachment';
-                    link.target = '_blank';
-                    att.appendChild(link);
-                } else {
-                    att.textContent = m.attachments;
-                }
+        // Indexes of the messages inside the date range, and what the view lists
+        let visible = [];
+        let viewItems = [];
+        let view = null;
 
-                [ts, contentCell, att].forEach(td => {
-                    td.style.padding = '0.5rem';
-                    td.style.verticalAlign = 'top';
-                    td.style.borderBottom = '1px solid #eee';
-                });
+        const firstVisibleId = () => {
+            if (!view) return null;
+            return viewItems.slice(view.firstVisibleIndex()).find(item => item.index !== undefined)?.id ?? null;
+        };
 
-                tr.appendChild(ts);
-                tr.appendChild(contentCell);
-                tr.appendChild(att);
-                tbody.appendChild(tr);
+        const build = (scrollId) => {
+            const from = fromInput.value;
+            const to = toInput.value;
+            visible = [];
+            messages.forEach((m, i) => {
+                if ((from || to) && (!days[i] || (from && days[i] < from) || (to && days[i] > to))) return;
+                visible.push(i);
+            });
+            countLabel.textContent = visible.length === messages.length
+                ? `${messages.length.toLocaleString()} messages`
+                : `${visible.length.toLocaleString()} of ${messages.length.toLocaleString()} messages`;
+            const chat = layoutSelect.value === 'chat';
+            viewItems = chat ? chatItems(messages, visible, dates, days) : visible.map(i => ({ id: messages[i].id, index: i }));
+            view?.destroy();
+            view = createMessageView(viewItems, { renderRow: chat ? renderChatRow : renderTableRow });
+            header.classList.toggle('hidden', chat);
+            viewHolder.innerHTML = '';
+            if (!visible.length) {
+                viewHolder.textContent = 'No messages in this date range.';
+            } else {
+                viewHolder.appendChild(view.element);
+            }
+            // Clicking a message selects it and makes it part of the page's URL
+            view.element.addEventListener('click', (e) => {
+                const row = e.target.closest('[data-message-id]');
+                if (!row || e.target.closest('a') || window.getSelection?.().toString()) return;
+                view.highlightMessage(row.dataset.messageId);
+                document.dispatchEvent(new CustomEvent('route', {
+                    detail: { section: 'messages', channel: dir, messageId: row.dataset.messageId }
+                }));
             });
-            table.appendChild(tbody);
-            msgContainer.innerHTML = '';
-            msgContainer.appendChild(table);
+            const index = scrollId === null || scrollId === undefined ? -1 : viewItems.findIndex(item => String(item.id) === String(scrollId));
+            view.scrollToIndex(Math.max(0, index));
+            current = { dir, view, firstVisibleId };
+        };
+
+        // Jump to the earliest message on or after the chosen day (the
+        // table keeps the order of the export, which is not always sorted)
+        const jumpToDay = (day) => {
+            if ((fromInput.value && day < fromInput.value) || (toInput.value && day > toInput.value)) {
+                fromInput.value = '';
+                toInput.value = '';
+                build(null);
+            }
+            let best = -1;
+            viewItems.forEach((item, k) => {
+                const i = item.index;
+                if (i === undefined || !days[i] || days[i] < day) return;
+                if (best < 0 || dates[i] < dates[viewItems[best].index]) best = k;
+            });
+            if (best >= 0) view.scrollToIndex(best);
+            calendarHolder.classList.add('hidden');
+        };
+
+        layoutSelect.addEventListener('change', () => {
+            setSetting('messageLayout', layoutSelect.value);
+            build(firstVisibleId());
         });
+        fromInput.addEventListener('change', () => build(firstVisibleId()));
+        toInput.addEventListener('change', () => build(firstVisibleId()));
+        calendarBtn.addEventListener('click', () => {
+            if (calendarHolder.classList.toggle('hidden')) return;
+            calendarHolder.innerHTML = '';
+            const shown = view && days[viewItems[view.firstVisibleIndex()]?.index];
+            calendarHolder.appendChild(createCalendar(dayCounts, jumpToDay, { initial: shown || fromInput.value }));
+        });
+        topBtn.addEventListener('click', () => view.scrollToTop());
+        bottomBtn.addEventListener('click', () => view.scrollToBottom());
+
+        msgContainer.innerHTML = '';
+        msgContainer.appendChild(toolbar);
+        msgContainer.appendChild(calendarHolder);
+        msgContainer.appendChild(header);
+        msgContainer.appendChild(viewHolder);
+        build(positions.get(dir) ?? null);
+    };
+
+    // The list is filled batch by batch, so large exports can be browsed
+    // while the remaining channels are still being read
+    const items = new Map(); // dir -> li
+    const placed = new Map(); // channel ID -> { info, li, threads }
+    const waitingThreads = new Map(); // parent ID -> thread entries listed before their parent
+    const guildLists = new Map();
+
+    const groupList = (info) => {
+        if (info.is_dm === true || info.is_dm === 1 || info.is_dm === 2) return dmList;
+        const guild = info.guild || 'Other channels';
+        if (!guildLists.has(guild)) {
+            const details = document.createElement('details');
+            details.open = false;
+            const summary = document.createElement('summary');
+            summary.textContent = guild;
+            details.appendChild(summary);
+            const ul = document.createElement('ul');
+            ul.style.listStyle = 'none';
+            ul.style.padding = 0;
+            ul.style.margin = 0;
+            details.appendChild(ul);
+            channelList.appendChild(details);
+            guildLists.set(guild, ul);
+        }
+        return guildLists.get(guild);
+    };
 
-        if (info.is_dm === true || info.is_dm === 1 || info.is_dm === 2) {
-            dmList.appendChild(li);
+    // Threads are listed (indented) right after their parent channel when
+    // the parent is part of the export, otherwise with the other channels
+    // until the parent turns up.
+    const nest = (thread, parent) => {
+        thread.li.style.paddingLeft = '1.5rem';
+        const last = parent.threads[parent.threads.length - 1] || parent.li;
+        last.after(thread.li);
+        parent.threads.push(thread.li);
+    };
+
+    const place = (entry) => {
+        const { info, li } = entry;
+        const parentId = info.is_thread && info.parentId ? String(info.parentId) : null;
+        if (parentId && placed.has(parentId)) {
+            nest(entry, placed.get(parentId));
         } else {
-            const guild = info.guild || 'Server';
-            if (!guildMap.has(guild)) {
-                guildMap.set(guild, []);
+            groupList(info).appendChild(li);
+            if (parentId) {
+                if (!waitingThreads.has(parentId)) waitingThreads.set(parentId, []);
+                waitingThreads.get(parentId).push(entry);
             }
-            guildMap.get(guild).push(li);
         }
-    }
+        const id = String(info.id);
+        if (placed.has(id)) return;
+        placed.set(id, entry);
+        for (const thread of waitingThreads.get(id) || []) nest(thread, entry);
+        waitingThreads.delete(id);
+    };
+
+    const addChannel = (dir, info) => {
+        mentions.channels.set(String(info.id), { dir, name: info.name });
+        for (const r of info.recipients) {
+            if (r.id && r.username && !mentions.users.has(r.id)) mentions.users.set(r.id, r.username);
+        }
+        const li = document.createElement('li');
+        li.style.padding = '0.5rem';
+        li.style.cursor = 'pointer';
+        li.style.borderBottom = '1px solid #eee';
 
-    for (const [guild, items] of guildMap.entries()) {
-        const details = document.createElement('details');
-        details.open = false;
-        const summary = document.createElement('summary');
-        summary.textContent = guild;
-        details.appendChild(summary);
-        const ul = document.createElement('ul');
-        ul.style.listStyle = 'none';
-        ul.style.padding = 0;
-        ul.style.margin = 0;
-        items.forEach(item => ul.appendChild(item));
-        details.appendChild(ul);
-        channelList.appendChild(details);
+        let channelName = info.name?.trim() || `Unknown channel ${info.id}`;
+        if (info.is_thread) channelName = `🧵 ${channelName}`;
+        else if (info.is_group) channelName = `👥 ${channelName}`;
+        li.textContent = channelName;
+        // Named from index.json; its messages may still be readable
+        if (info.error) {
+            li.style.color = '#c0392b';
+            li.textContent = `⚠️ ${channelName} (channel.json could not be read: ${info.error})`;
+        }
+
+        li.addEventListener('click', () => {
+            showChannel(dir, info, li);
+            document.dispatchEvent(new CustomEvent('route', { detail: { section: 'messages', channel: dir } }));
+        });
+
+        items.set(dir, { info, li });
+        place({ info, li, threads: [] });
+    };
+
+    // A channel that cannot be read is listed with its error instead
+    const addFailedChannel = (dir, err) => {
+        const li = document.createElement('li');
+        li.style.padding = '0.5rem';
+        li.style.borderBottom = '1px solid #eee';
+        li.style.color = '#c0392b';
+        li.textContent = `⚠️ ${dir} could not be read: ${err.message}`;
+        groupList({}).appendChild(li);
+    };
+
+    // Open options.channel as soon as it is listed
+    let selection = null;
+    const selectRequested = () => {
+        const selected = options.channel && items.get(options.channel);
+        if (!selected) return;
+        selected.li.closest('details').open = true;
+        selected.li.scrollIntoView({ block: 'nearest' });
+        selection = showChannel(options.channel, selected.info, selected.li).then(() => {
+            if (options.messageId && current?.dir === options.channel) current.view.scrollToMessage(options.messageId);
+        });
+    };
+
+    for (let start = 0; start < dirs.length; start += CHANNEL_BATCH) {
+        const batch = dirs.slice(start, start + CHANNEL_BATCH);
+        const infos = await Promise.all(batch.map(dir => readChannelInfo(zip, dir).catch((err) => {
+            console.error('Error reading channel', dir, err);
+            return err;
+        })));
+        // The section was left (or rendered again) in the meantime
+        if (!container.contains(wrapper)) return;
+        batch.forEach((dir, i) => {
+            if (infos[i] instanceof Error) addFailedChannel(dir, infos[i]);
+            else addChannel(dir, infos[i]);
+        });
+        if (!selection) selectRequested();
+        const done = start + batch.length;
+        listHeading.textContent = done < dirs.length
+            ? `Channels (loading ${done.toLocaleString()} of ${dirs.length.toLocaleString()}…)`
+            : 'Channels';
+        // Let the page draw the new items before reading the next batch
+        if (done < dirs.length) await new Promise(resolve => setTimeout(resolve));
     }
+    await selection;
 }
 
 export async function test(zip) {
@@ -255,6 +893,159 @@ export async function test(zip) {
     const csvOk = parsed.length === 2 && parsed[0].ID === '1' && parsed[1].Contents === 'World';
     results.push({ name: 'parseCsv simple test', passed: csvOk });
 
+    const quoted = parseCsv('ID,Contents\n1,"Hello, ""world"""\n2,"line one\r\nline two\nline three"');
+    results.push({
+        name: 'parseCsv quoted fields, escaped quotes and line breaks',
+        passed: quoted.length === 2 && quoted[0].Contents === 'Hello, "world"' && quoted[1].Contents === 'line one\r\nline two\nline three'
+    });
+
+    const bom = parseCsv('\uFEFFID,Timestamp,Contents,Attachments\r\n1,2021-01-01,,\r\n2,2021-01-02\r\n\r\n');
+    results.push({
+        name: 'parseCsv BOM, CRLF and trailing empty columns',
+        passed: bom.length === 2 && 'ID' in bom[0] && bom[0].Contents === '' && bom[0].Attachments === '' && bom[1].Attachments === ''
+    });
+
+    // Feed one character at a time so every token is split across chunks
+    const chunked = [];
+    const reader = createCsvReader(row => chunked.push(row));
+    for (const c of 'ID,Contents\r\n1,"a ""b""\r\nc"\r\n2,d') reader.push(c);
+    reader.end();
+    results.push({
+        name: 'createCsvReader handles chunk boundaries',
+        passed: chunked.length === 2 && chunked[0].Contents === 'a "b"\r\nc' && chunked[1].Contents === 'd'
+    });
+
+    const dmLabel = parseIndexLabel('Direct Message with foo#0');
+    const guildLabel = parseIndexLabel('my thread in here in Some Server', 'Some Server');
+    results.push({
+        name: 'parseIndexLabel splits DM and server labels',
+        passed: dmLabel.is_dm && dmLabel.name === 'foo' && guildLabel.name === 'my thread in here' && guildLabel.guild === 'Some Server'
+    });
+    results.push({ name: 'parseIndexLabel ignores null labels', passed: parseIndexLabel(null) === null });
+
+    const attachments = splitAttachments('https://cdn.discordapp.com/attachments/1/2/My%20Pic.PNG?ex=1&width=640&height=480  https://cdn.discordapp.com/attachments/1/3/notes.pdf');
+    results.push({
+        name: 'splitAttachments splits and classifies URLs',
+        passed: attachments.length === 2 && attachments[0].filename === 'My Pic.PNG' && attachments[0].type === 'image'
+            && attachments[0].sizeHint === '640×480' && attachments[1].type === 'document' && splitAttachments('').length === 0
+    });
+
+    const exported = [{ info: { id: '1', name: 'general', guild: 'Server' }, messages: quoted.map(m => ({ id: m.ID, timestamp: '', content: m.Contents, attachments: '' })) }];
+    const roundTrip = parseCsv(toCsv(exported));
+    results.push({
+        name: 'CSV export round-trips through parseCsv',
+        passed: roundTrip.length === 2 && roundTrip[0].Contents === quoted[0].Contents && roundTrip[1].Contents === quoted[1].Contents && roundTrip[0].Server === 'Server'
+    });
+    const json = JSON.parse(toJson(exported));
+    results.push({ name: 'JSON export keeps channel metadata', passed: json.channels[0].name === 'general' && json.channels[0].messages.length === 2 });
+
+    const many = Array.from({ length: 10000 }, (_, i) => ({ id: String(i), timestamp: '', content: `message ${i}`, attachments: '' }));
+    const view = createMessageView(many, {
+        renderRow: (m) => {
+            const row = document.createElement('div');
+            row.textContent = m.content;
+            return row;
+        }
+    });
+    // Attached with a fixed height, so the window is sized by the viewport
+    view.element.style.height = '300px';
+    document.body.appendChild(view.element);
+    view.refresh();
+    const renderedRows = view.element.querySelectorAll('[data-index]');
+    const renderedHeight = Array.from(renderedRows).reduce((sum, row) => sum + row.offsetHeight, 0);
+    view.scrollToIndex(5000);
+    const scrolled = view.element.querySelector('[data-index="5000"]');
+    view.destroy();
+    view.element.remove();
+    results.push({
+        name: 'message view renders only a window of rows that fills the viewport',
+        passed: view.element.textContent.includes('message 5000') && !!scrolled &&
+            renderedRows.length < 200 && renderedHeight >= 300
+    });
+
+    const chatDates = ['2021-01-02T10:05:00Z', '2021-01-01T10:00:00Z', '2021-01-01T10:03:00Z', '2021-01-01T11:00:00Z'].map(parseTimestamp);
+    const chat = chatItems([{ id: 'd' }, { id: 'a' }, { id: 'b' }, { id: 'c' }], [0, 1, 2, 3], chatDates, chatDates.map(d => d.toISOString().slice(0, 10)));
+    results.push({
+        name: 'chat layout sorts by time, separates days and groups close messages',
+        passed: chat.map(item => item.separator ?? `${item.id}${item.grouped ? '+' : ''}`).join(' ') === '2021-01-01 a b+ c 2021-01-02 d'
+    });
+
+    const markdown = parseMarkdown('**bold** <@1> ||secret|| `x` <:pepe:2>');
+    results.push({
+        name: 'parseMarkdown reads formatting, mentions and emoji',
+        passed: markdown[0].type === 'strong' && markdown[2].type === 'user' && markdown[4].type === 'spoiler' &&
+            markdown[6].type === 'code' && markdown[8].type === 'emoji' && markdown[8].name === 'pepe'
+    });
+    const rendered = document.createElement('div');
+    rendered.appendChild(renderMarkdown('<img src=x onerror=alert(1)> <@1> <#3>', {
+        users: new Map([['1', 'friend']]),
+        channels: new Map([['3', { dir: 'c3', name: 'general' }]])
+    }));
+    results.push({
+        name: 'renderMarkdown never creates elements from message text',
+        passed: !rendered.querySelector('img') && rendered.textContent === '<img src=x onerror=alert(1)> @friend #general'
+    });
+
+    const groups = new JSZip();
+    groups.file('Account/user.json', JSON.stringify({ id: '1', username: 'me' }));
+    groups.file('Messages/index.json', JSON.stringify({ 10: 'Group chat', 11: null }));
+    groups.file('Messages/c10/channel.json', JSON.stringify({ id: '10', type: 3, recipients: ['1', '2', '3'] }));
+    groups.file('Messages/c11/channel.json', JSON.stringify({ id: '11', type: 3, recipients: ['1', '2', '3'] }));
+    const labelled = await readChannelInfo(groups, 'c10');
+    const unlabelled = await readChannelInfo(groups, 'c11');
+    results.push({
+        name: 'group DMs with bare recipient IDs use the index label, without the own ID',
+        passed: labelled.name === 'Group chat' && unlabelled.name === '2, 3'
+    });
+
+    // A thread sorted into the first batch of the list and its parent into
+    // the second, a broken channel.json and a mention of the parent from
+    // the first channel, which opens before the parent is listed
+    const large = new JSZip();
+    large.file('Messages/index.json', JSON.stringify({ 9000: 'parent in Server', 3000: 'broken in Server' }));
+    large.file('Messages/c1000/channel.json', JSON.stringify({ id: '1000', type: 11, name: 'thread', parent_id: '9000', guild: { id: '1', name: 'Server' } }));
+    for (let i = 0; i < CHANNEL_BATCH; i++) {
+        large.file(`Messages/c${2000 + i}/channel.json`, JSON.stringify({ id: String(2000 + i), type: 0, name: `channel ${i}`, guild: { id: '1', name: 'Server' } }));
+    }
+    large.file('Messages/c2000/messages.json', JSON.stringify([{ ID: '1', Timestamp: '2021-01-01 10:00:00', Contents: 'see <#9000>', Attachments: '' }]));
+    large.file('Messages/c3000/channel.json', 'not json');
+    large.file('Messages/c9000/channel.json', JSON.stringify({ id: '9000', type: 0, name: 'parent', guild: { id: '1', name: 'Server' } }));
+    const page = document.createElement('div');
+    document.body.appendChild(page);
+    const headings = [];
+    const watcher = new MutationObserver(() => headings.push(page.querySelector('h3')?.textContent));
+    watcher.observe(page, { childList: true, characterData: true, subtree: true });
+    try {
+        await render(large, page, { channel: 'c2000' });
+        const rows = Array.from(page.querySelectorAll('li'));
+        const parent = rows.find(li => li.textContent === 'parent');
+        const thread = rows.find(li => li.textContent === '🧵 thread');
+        results.push({
+            name: 'the channel list fills in batch by batch',
+            passed: headings.includes(`Channels (loading ${CHANNEL_BATCH} of ${CHANNEL_BATCH + 3}…)`) &&
+                rows.length === CHANNEL_BATCH + 3 && page.querySelector('h3').textContent === 'Channels'
+        });
+        results.push({
+            name: 'threads listed before their parent move below it',
+            passed: !!parent && parent.nextElementSibling === thread && thread.style.paddingLeft === '1.5rem'
+        });
+        results.push({
+            name: 'a channel with a broken channel.json is listed with its error',
+            passed: rows.some(li => li.textContent.startsWith('⚠️ broken (channel.json could not be read'))
+        });
+        const mention = page.querySelector('a.mention');
+        results.push({
+            name: 'channel mentions link to channels listed later',
+            passed: !!mention && mention.textContent === '#parent'
+        });
+    } catch (err) {
+        console.error(err);
+        results.push({ name: 'rendering the channel list throws exception', passed: false });
+    } finally {
+        watcher.disconnect();
+        page.remove();
+    }
+
     const dirs = listChannelDirs(zip).sort();
 
     if (dirs.length) {
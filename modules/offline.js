@@ -0,0 +1,81 @@
+// offline.js
+// Attachment and message links that respect the strict offline mode. While
+// the mode is on, links have no href (so the browser can neither follow nor
+// prefetch them) and opening one asks for confirmation first, because it
+// sends a request to Discord's CDN or another server.
+
+import { getSetting, onSettingChange } from './settings.js';
+
+const ICONS = {
+    image: '🖼️',
+    video: '🎞️',
+    audio: '🎵',
+    document: '📄',
+    archive: '🗜️',
+    other: '📎'
+};
+
+function applyMode(link) {
+    if (getSetting('offlineMode')) {
+        link.removeAttribute('href');
+        link.title = `${link.dataset.externalUrl}\n(offline mode: opening asks for confirmation)`;
+    } else {
+        link.href = link.dataset.externalUrl;
+        link.title = link.dataset.externalUrl;
+    }
+}
+
+// Update every external link on the page when the mode is toggled
+onSettingChange((key) => {
+    if (key !== 'offlineMode' || typeof document === 'undefined') return;
+    document.querySelectorAll('a[data-external-url]').forEach(applyMode);
+});
+
+// Ask before contacting the network; returns true if the user agreed
+export function confirmExternalOpen(url) {
+    let host = 'an external server';
+    try {
+        host = new URL(url).host;
+    } catch (_) {
+        // Keep the generic wording for malformed URLs
+    }
+    return confirm(
+        'Strict offline mode is on.\n\n' +
+        `Opening this link loads it from ${host}, which sends your IP address ` +
+        'and browser details to that server.\n\n' + url + '\n\nOpen it anyway?'
+    );
+}
+
+// Create a link to an external URL with the given text. Values that are not
+// http(s) URLs are shown as plain text.
+export function createExternalLink(url, text) {
+    if (!/^https?:\/\//i.test(url)) {
+        const span = document.createElement('span');
+        span.textContent = text;
+        return span;
+    }
+    const link = document.createElement('a');
+    link.dataset.externalUrl = url;
+    link.textContent = text;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.referrerPolicy = 'no-referrer';
+    link.style.cursor = 'pointer';
+    applyMode(link);
+    const open = (e) => {
+        if (!getSetting('offlineMode')) return;
+        e.preventDefault();
+        if (confirmExternalOpen(url)) {
+            window.open(url, '_blank', 'noopener,noreferrer');
+        }
+    };
+    link.addEventListener('click', open);
+    link.addEventListener('auxclick', open);
+    return link;
+}
+
+// Create a link for one attachment from splitAttachments() in messages.js
+export function createAttachmentLink(att) {
+    if (!/^https?:\/\//i.test(att.url)) return createExternalLink(att.url, att.url);
+    return createExternalLink(att.url, `${ICONS[att.type] || ICONS.other} ${att.filename || 'attachment'}`);
+}
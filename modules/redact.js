@@ -0,0 +1,331 @@
+// redact.js
+// Redaction for screenshots and bug reports.
+//  - Redaction mode (setting "redact"): watchRedaction(root) masks e-mail
+//    addresses, phone numbers, Discord IDs, IP addresses and card numbers in
+//    every text node and tooltip below root, including rows added later.
+//  - createRedactedZip(zip, options, onProgress): a copy of the export with
+//    the same layout in which those values are scrubbed. IDs are replaced
+//    consistently (file names, keys and values alike) and keep their
+//    creation time, so the copy can still be loaded by this tool. With
+//    options.placeholders, message contents are replaced by placeholders of
+//    the same length.
+//  - test(): checks masking and scrubbing on samples.
+
+/* global JSZip */
+
+import { parseCsv } from './messages.js';
+
+// Patterns for values that identify a person, in the order they are applied.
+// IPv6 addresses are full, or shortened with "::" but still three groups
+// long, so "a::b" or "std::map" stay; phone numbers are international
+// (+…) or grouped like 555-123-4567 and (555) 123 4567.
+const PATTERNS = {
+    email: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+    ip: /\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\b|\b(?:[0-9a-f]{1,4}:){2,6}(?::[0-9a-f]{1,4}){1,5}\b|\b[0-9a-f]{1,4}:(?::[0-9a-f]{1,4}){2,6}\b|\b(?:[0-9a-f]{1,4}:){2,7}:(?![0-9a-f:])|\b(?:25[0-5]|2[0-4]\d|1?\d?\d)(?:\.(?:25[0-5]|2[0-4]\d|1?\d?\d)){3}\b/gi,
+    card: /\b\d{4}(?:[ -]\d{4}){3}\b/g,
+    phone: /\+\d[\d\s().-]{6,18}\d|(?<![\w.-])(?:\(\d{3}\) ?|\d{3}[ .-])\d{3}[ .-]\d{4}(?![\w-])/g,
+    // Discord snowflakes; also inside names such as "c123…" channel folders
+    id: /(?<!\d)\d{15,21}(?!\d)/g
+};
+
+const LABELS = {
+    email: '[email]',
+    ip: '[IP]',
+    phone: '[phone]',
+    card: '[card]',
+    id: '[ID]'
+};
+
+// Mask every sensitive value in a text shown on screen
+export function redactText(text) {
+    let result = String(text);
+    for (const [kind, re] of Object.entries(PATTERNS)) {
+        result = result.replace(re, LABELS[kind]);
+    }
+    return result;
+}
+
+// Values are only written when masking changes them, so the observer
+// below does not see its own writes again
+function maskTextNode(node) {
+    const masked = redactText(node.nodeValue);
+    if (masked !== node.nodeValue) node.nodeValue = masked;
+}
+
+function redactTitle(element) {
+    if (!element.title) return;
+    const masked = redactText(element.title);
+    if (masked !== element.title) element.title = masked;
+}
+
+function redactNode(node) {
+    if (node.nodeType === 3) {
+        maskTextNode(node);
+        return;
+    }
+    if (node.nodeType !== 1) return;
+    const walker = document.createTreeWalker(node, 5); // elements and text
+    for (let current = node; current; current = walker.nextNode()) {
+        if (current.nodeType === 3) maskTextNode(current);
+        else redactTitle(current);
+    }
+}
+
+// Mask everything below root now and whenever nodes are added (the
+// message list renders rows while scrolling), text changes or a tooltip is
+// set (e.g. the attachment links of offline.js). Returns a function that
+// stops watching; the sections have to be rendered again to unmask.
+export function watchRedaction(root) {
+    redactNode(root);
+    const observer = new MutationObserver((mutations) => {
+        for (const mutation of mutations) {
+            if (mutation.type === 'childList') mutation.addedNodes.forEach(redactNode);
+            else if (mutation.type === 'characterData') redactNode(mutation.target);
+            else redactTitle(mutation.target);
+        }
+    });
+    observer.observe(root, { childList: true, characterData: true, attributes: true, attributeFilter: ['title'], subtree: true });
+    return () => observer.disconnect();
+}
+
+// Replacement IDs keep the creation time (the upper 42 bits of a
+// snowflake) and get a running number in the lower bits
+function createIdMap() {
+    const map = new Map();
+    const used = new Set();
+    let counter = 0;
+    return (id) => {
+        if (!map.has(id)) {
+            let fake;
+            do {
+                counter = (counter + 1) % 0x400000;
+                fake = String((BigInt(id) >> 22n << 22n) | BigInt(counter));
+            } while (used.has(fake));
+            used.add(fake);
+            map.set(id, fake);
+        }
+        return map.get(id);
+    };
+}
+
+const SECRET_KEY = /token|secret|password|private_key|fingerprint|payment_gateway/i;
+const EMAIL_KEY = /(^|_)email$/i;
+const PHONE_KEY = /(^|_)phone$/i;
+const IP_KEY = /(^|_)ip(_address)?$/i;
+// Keys whose whole value is a payment detail
+const PAYMENT_KEYS = ['billing_address', 'last_4', 'expires_month', 'expires_year'];
+// Message text in messages.json and messages.csv
+const CONTENT_KEYS = ['Contents', 'content'];
+
+// Same length, with letters, digits and emoji replaced; whitespace, ASCII
+// punctuation and Discord tags such as <@123> or <t:…> stay, so formatting
+// and CSV quoting still behave like the original
+function placeholder(text) {
+    return String(text).split(/(<(?:@[!&]?|#|a?:\w+:|t:)[^>\s]*>)/).map((part, i) => i % 2
+        ? part
+        : part.replace(/[^\s!-/:-@[-`{-~]/gu, ch => 'x'.repeat(ch.length))).join('');
+}
+
+function createScrubber({ placeholders = false } = {}) {
+    const mapId = createIdMap();
+
+    const text = (value) => String(value)
+        .replace(PATTERNS.email, 'redacted@example.invalid')
+        .replace(PATTERNS.ip, ip => ip.includes(':') ? '::' : '0.0.0.0')
+        .replace(PATTERNS.phone, phone => phone.replace(/\d/g, '0'))
+        .replace(PATTERNS.card, card => card.replace(/\d/g, '0'))
+        .replace(PATTERNS.id, mapId);
+
+    const field = (key, value) => {
+        if (value === null || value === undefined || value === '') return value;
+        if (PAYMENT_KEYS.includes(key)) {
+            if (key === 'last_4') return '0000';
+            if (typeof value === 'number') return 0;
+            if (typeof value === 'object') return scrubAll(value);
+            return 'redacted';
+        }
+        if (typeof value === 'object') return json(value);
+        if (typeof value !== 'string') return value;
+        if (SECRET_KEY.test(key)) return 'redacted';
+        if (EMAIL_KEY.test(key)) return 'redacted@example.invalid';
+        if (PHONE_KEY.test(key)) return value.replace(/\d/g, '0');
+        if (IP_KEY.test(key)) return value.includes(':') ? '::' : '0.0.0.0';
+        if (placeholders && CONTENT_KEYS.includes(key)) return placeholder(text(value));
+        return text(value);
+    };
+
+    // Every string inside, e.g. a billing address
+    const scrubAll = (value) => {
+        if (Array.isArray(value)) return value.map(scrubAll);
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, scrubAll(v)]));
+        }
+        return typeof value === 'string' ? 'redacted' : value;
+    };
+
+    const json = (value) => {
+        if (Array.isArray(value)) return value.map(item => typeof item === 'string' ? text(item) : json(item));
+        if (value && typeof value === 'object') {
+            const result = {};
+            for (const [key, item] of Object.entries(value)) {
+                // Connected accounts are identified by the other service's ID
+                const scrubbed = key === 'connected_accounts' && Array.isArray(item)
+                    ? item.map(account => ({ ...json(account), id: 'redacted' }))
+                    : field(key, item);
+                result[text(key)] = scrubbed;
+            }
+            return result;
+        }
+        return value;
+    };
+
+    return { text, json, path: (path) => path.replace(PATTERNS.id, mapId) };
+}
+
+function csvField(value) {
+    const s = String(value ?? '');
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function scrubCsv(source, scrub, placeholders) {
+    const rows = parseCsv(source);
+    const headers = rows.length ? Object.keys(rows[0]) : source.replace(/^\uFEFF/, '').split(/\r?\n/)[0].split(',').map(h => h.trim());
+    const lines = [headers.map(csvField).join(',')];
+    for (const row of rows) {
+        lines.push(headers.map(h => {
+            const value = scrub.text(row[h]);
+            return csvField(placeholders && CONTENT_KEYS.includes(h) ? placeholder(value) : value);
+        }).join(','));
+    }
+    return (source.startsWith('\uFEFF') ? '\uFEFF' : '') + lines.join('\n') + '\n';
+}
+
+// Scrub one JSON-lines file while decompressing it; returns the parts of the result
+function scrubJsonLines(file, scrub) {
+    return new Promise((resolve, reject) => {
+        const parts = [];
+        let rest = '';
+        const line = (text) => {
+            if (!text.trim()) return text;
+            try {
+                return JSON.stringify(scrub.json(JSON.parse(text)));
+            } catch (_) {
+                return scrub.text(text);
+            }
+        };
+        file.internalStream('string')
+            .on('data', (chunk) => {
+                const lines = (rest + chunk).split('\n');
+                rest = lines.pop();
+                if (lines.length) parts.push(lines.map(line).join('\n') + '\n');
+            })
+            .on('error', reject)
+            .on('end', () => {
+                if (rest) parts.push(line(rest));
+                resolve(parts);
+            })
+            .resume();
+    });
+}
+
+const TEXT_EXTENSIONS = ['json', 'csv', 'txt', 'md', 'html', 'htm', 'xml', 'log'];
+
+// Write a redacted copy of the export. onProgress receives (filesDone,
+// filesTotal) while scrubbing and (percent) while compressing. Resolves to
+// a Blob with the new ZIP.
+export async function createRedactedZip(zip, { placeholders = false } = {}, onProgress) {
+    const scrub = createScrubber({ placeholders });
+    const out = new JSZip();
+    const paths = Object.keys(zip.files).filter(path => !zip.files[path].dir).sort();
+    let done = 0;
+    for (const path of paths) {
+        const file = zip.file(path);
+        const target = scrub.path(path);
+        const ext = path.split('.').pop().toLowerCase();
+        if (/^Activity\//i.test(path) && ext === 'json') {
+            out.file(target, new Blob(await scrubJsonLines(file, scrub)));
+        } else if (ext === 'json') {
+            const source = await file.async('string');
+            let result;
+            try {
+                result = JSON.stringify(scrub.json(JSON.parse(source.replace(/^\uFEFF/, ''))));
+            } catch (_) {
+                // Keep malformed files malformed, so parsing bugs still reproduce
+                result = scrub.text(source);
+            }
+            out.file(target, result);
+        } else if (ext === 'csv') {
+            out.file(target, scrubCsv(await file.async('string'), scrub, placeholders && /^Messages\//i.test(path)));
+        } else if (TEXT_EXTENSIONS.includes(ext)) {
+            out.file(target, scrub.text(await file.async('string')));
+        } else {
+            // Images and other binary files are copied unchanged
+            out.file(target, await file.async('uint8array'));
+        }
+        done++;
+        onProgress?.(done, paths.length);
+    }
+    return out.generateAsync({ type: 'blob', compression: 'DEFLATE' }, (meta) => onProgress?.(meta.percent));
+}
+
+// Simple tests for the redaction
+export async function test() {
+    const results = [];
+    const masked = redactText('me@example.com +1 555 123 4567 from 10.0.0.1, user 123456789012345678 in c123456789012345678');
+    results.push({
+        name: 'redactText masks e-mail, phone, IP and IDs',
+        passed: masked === '[email] [phone] from [IP], user [ID] in c[ID]'
+    });
+    results.push({ name: 'redactText keeps times and dates', passed: redactText('2022-01-01 10:00:00') === '2022-01-01 10:00:00' });
+    results.push({
+        name: 'redactText masks phone numbers without a country code',
+        passed: redactText('Call 555-123-4567 or (555) 123 4567') === 'Call [phone] or [phone]' &&
+            redactText('card 4242 4242 4242 4242') === 'card [card]'
+    });
+    results.push({
+        name: 'redactText masks shortened IPv6 addresses only',
+        passed: redactText('2001:db8::1, 2a02:810d:: and a::b or std::map') === '[IP], [IP] and a::b or std::map'
+    });
+
+    const root = document.createElement('div');
+    const span = document.createElement('span');
+    span.textContent = 'hello';
+    root.appendChild(span);
+    const stop = watchRedaction(root);
+    span.title = 'me@example.com';
+    span.firstChild.nodeValue = 'call 555-123-4567';
+    await new Promise(resolve => setTimeout(resolve));
+    stop();
+    results.push({
+        name: 'redaction mode masks changed text and tooltips',
+        passed: span.title === '[email]' && span.textContent === 'call [phone]'
+    });
+
+    const scrub = createScrubber({ placeholders: true });
+    const user = scrub.json({
+        id: '123456789012345678',
+        email: 'me@example.com',
+        phone: '+15551234567',
+        ip: '10.0.0.1',
+        payment_sources: [{ brand: 'visa', last_4: '4242', billing_address: { name: 'Me', city: 'Town' } }],
+        Contents: 'hi <@123456789012345678>!'
+    });
+    const fakeId = scrub.path('c123456789012345678').slice(1);
+    results.push({
+        name: 'scrubbed JSON hides contact and payment details',
+        passed: user.email === 'redacted@example.invalid' && user.phone === '+00000000000' && user.ip === '0.0.0.0' &&
+            user.payment_sources[0].last_4 === '0000' && user.payment_sources[0].billing_address.city === 'redacted'
+    });
+    results.push({
+        name: 'IDs are replaced consistently and keep their creation time',
+        passed: user.id === fakeId && fakeId !== '123456789012345678' &&
+            BigInt(fakeId) >> 22n === BigInt('123456789012345678') >> 22n
+    });
+    results.push({
+        name: 'placeholders keep the length and mentions of a message',
+        passed: user.Contents === `xx <@${fakeId}>!`
+    });
+    const csv = scrubCsv('ID,Contents\n1,"Hi, ""you"""\n', createScrubber(), false);
+    results.push({ name: 'scrubbed CSV keeps quoting', passed: parseCsv(csv)[0].Contents === 'Hi, "you"' });
+    return results;
+}
@@ -0,0 +1,158 @@
+// registry.js
+// The list of section modules and the helpers main.js uses to decide which
+// sections a loaded export gets. Every module listed in SECTION_MODULES
+// exports a `section` object describing itself:
+//
+//   export const section = {
+//       id: 'servers',            // nav / navigate() name
+//       label: 'Servers',         // nav button text; omit for modules without a page
+//       order: 60,                // position in the nav bar
+//       paths: [/^Servers\//i],   // ZIP paths the module handles
+//       always: false,            // show even when no path matches
+//       when: async (zip) => true, // optional extra check when no path matches
+//       search: (zip) => [...],   // optional, see searchSources()
+//       stats: async (zip) => [...] // optional, see statsContributions()
+//   };
+//
+// next to render(zip, container, options) and, optionally, test(zip).
+// Adding a section means dropping a module into modules/ and listing it here.
+
+export const SECTION_MODULES = [
+    './account.js',
+    './billing.js',
+    './messages.js',
+    './search.js',
+    './stats.js',
+    './attachments.js',
+    './servers.js',
+    './activity.js',
+    './files.js',
+    './diagnostics.js'
+];
+
+// Modules without a page whose test(zip) the test runner runs next to the
+// tests of the sections shown for the export
+export const TEST_MODULES = [
+    './storage.js',
+    './router.js',
+    './redact.js',
+    './loader.js',
+    './time.js'
+];
+
+let loading = null;
+
+// Import every listed module once. Resolves to the section descriptors,
+// sorted by order, each with its module attached.
+export function loadSections() {
+    if (!loading) {
+        loading = Promise.all(SECTION_MODULES.map(async (path) => {
+            try {
+                const module = await import(path);
+                if (!module.section) throw new Error('module does not export a section');
+                return { order: 100, paths: [], ...module.section, module };
+            } catch (err) {
+                console.error('Could not load section module', path, err);
+                return null;
+            }
+        })).then(sections => sections.filter(Boolean).sort((a, b) => a.order - b.order));
+    }
+    return loading;
+}
+
+// Import the modules listed in TEST_MODULES; ones that fail to load are skipped
+export async function loadTestModules() {
+    const modules = await Promise.all(TEST_MODULES.map(path => import(path).catch((err) => {
+        console.error('Could not load test module', path, err);
+        return null;
+    })));
+    return modules.filter(Boolean);
+}
+
+function filePaths(zip) {
+    return Object.keys(zip.files).filter(path => !zip.files[path].dir);
+}
+
+function claims(section, path) {
+    return section.paths.some(re => re.test(path));
+}
+
+// A section is shown when it claims at least one file of the ZIP, is marked
+// "always" or its when(zip) check passes. A failing check hides only that
+// section.
+async function isShown(section, zip, paths) {
+    if (section.always || paths.some(path => claims(section, path))) return true;
+    if (!section.when) return false;
+    try {
+        return !!await section.when(zip);
+    } catch (err) {
+        console.error('Section check failed', section.id, err);
+        return false;
+    }
+}
+
+// Sections to show for a ZIP
+export async function sectionsFor(zip) {
+    const sections = await loadSections();
+    const paths = filePaths(zip);
+    const result = [];
+    for (const section of sections) {
+        if (await isShown(section, zip, paths)) result.push(section);
+    }
+    return result;
+}
+
+// Sections whose paths cover a ZIP path (or a folder, given as "Name/"),
+// in nav order
+export async function sectionsClaiming(path) {
+    return (await loadSections()).filter(section => claims(section, path));
+}
+
+// Files inside folders that no section claims, grouped by top-level folder
+// ({ folder: [paths] }). Files in the root of the ZIP are grouped under ''.
+export async function unclaimedFiles(zip) {
+    const sections = await loadSections();
+    const result = {};
+    for (const path of filePaths(zip).sort()) {
+        if (sections.some(section => claims(section, path))) continue;
+        const folder = path.includes('/') ? path.split('/')[0] : '';
+        (result[folder] ||= []).push(path);
+    }
+    return result;
+}
+
+// Searchable sources of every section. A section's search(zip) returns
+//   [{ key, section, load: async () => ({ info, messages }) }]
+// where info is channel-like ({ name, guild, is_dm, label }) and messages
+// are { id, timestamp, content, attachments }. Opening a hit navigates to
+// `section` with { channel: key, messageId }.
+export async function searchSources(zip) {
+    const sources = [];
+    for (const section of await sectionsFor(zip)) {
+        if (!section.search) continue;
+        try {
+            sources.push(...await section.search(zip));
+        } catch (err) {
+            console.error('Search contribution failed', section.id, err);
+        }
+    }
+    return sources;
+}
+
+// Extra cards for the statistics page. A section's stats(zip) resolves to
+//   [{ title, chart: 'bar' | 'ranking', data: [{ label, value }] }]
+// Only sections with a stats hook are checked, so the statistics section
+// can call this from its own when(zip).
+export async function statsContributions(zip) {
+    const cards = [];
+    const paths = filePaths(zip);
+    for (const section of await loadSections()) {
+        if (!section.stats || !await isShown(section, zip, paths)) continue;
+        try {
+            cards.push(...(await section.stats(zip)).map(card => ({ ...card, section: section.id })));
+        } catch (err) {
+            console.error('Statistics contribution failed', section.id, err);
+        }
+    }
+    return cards;
+}
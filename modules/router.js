@@ -0,0 +1,64 @@
+// router.js
+// URL fragments for deep links, e.g. #messages?channel=c123&message=456.
+// The part before "?" names the section, the query holds its render
+// options. main.js writes the fragment on every navigation and reads it on
+// back/forward and after an export is loaded.
+//  - formatRoute(section, options): fragment for a section and its options.
+//  - parseRoute(hash): { section, options } or null.
+//  - test(): round-trip checks.
+
+// Option names with a shorter name in the URL
+const PARAM_NAMES = { messageId: 'message' };
+
+function optionName(param) {
+    return Object.keys(PARAM_NAMES).find(key => PARAM_NAMES[key] === param) || param;
+}
+
+// Only plain values are part of a link; objects such as the second export
+// of the Compare section are not
+export function formatRoute(section, options = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(options)) {
+        if (value === undefined || value === null || value === '') continue;
+        if (typeof value !== 'string' && typeof value !== 'number') continue;
+        params.set(PARAM_NAMES[key] || key, String(value));
+    }
+    const query = params.toString();
+    return `#${encodeURIComponent(section)}${query ? `?${query}` : ''}`;
+}
+
+export function parseRoute(hash) {
+    const text = String(hash || '').replace(/^#/, '');
+    if (!text) return null;
+    const pos = text.indexOf('?');
+    let section;
+    try {
+        section = decodeURIComponent(pos < 0 ? text : text.slice(0, pos));
+    } catch (_) {
+        return null;
+    }
+    if (!section) return null;
+    const options = {};
+    if (pos >= 0) {
+        for (const [param, value] of new URLSearchParams(text.slice(pos + 1))) {
+            options[optionName(param)] = value;
+        }
+    }
+    return { section, options };
+}
+
+// Simple tests for the route format
+export async function test() {
+    const results = [];
+    const hash = formatRoute('messages', { channel: 'c123', messageId: '456', other: { zip: null } });
+    results.push({ name: 'formatRoute keeps plain options only', passed: hash === '#messages?channel=c123&message=456' });
+    const route = parseRoute(hash);
+    results.push({
+        name: 'parseRoute restores section and options',
+        passed: route?.section === 'messages' && route.options.channel === 'c123' && route.options.messageId === '456'
+    });
+    const path = parseRoute(formatRoute('files', { path: 'Support Tickets/1/a&b.json' }));
+    results.push({ name: 'route options are escaped', passed: path?.options.path === 'Support Tickets/1/a&b.json' });
+    results.push({ name: 'parseRoute ignores an empty fragment', passed: parseRoute('') === null && parseRoute('#') === null });
+    return results;
+}
@@ -0,0 +1,206 @@
+// saved-exports.js
+// Controls on the upload card for the opt-in encrypted storage in storage.js:
+//  - renderRememberForm(container, file, onSaved): "Remember this export"
+//    form for the ZIP that was just loaded.
+//  - renderSavedExports(container, onOpen): list of saved exports with
+//    open, delete and wipe actions. onOpen receives the decrypted File.
+
+import { listSavedExports, saveExport, openSavedExport, deleteSavedExport, wipeSavedExports } from './storage.js';
+import { formatDateTime } from './time.js';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+function formatSize(bytes) {
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+    if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+    return `${Math.ceil(bytes / 1024)} KB`;
+}
+
+function formatDate(iso) {
+    return iso ? formatDateTime(new Date(iso)) : '—';
+}
+
+function passwordInput(placeholder) {
+    const input = document.createElement('input');
+    input.type = 'password';
+    input.autocomplete = 'new-password';
+    input.placeholder = placeholder;
+    return input;
+}
+
+// Offer to store the loaded ZIP encrypted in this browser
+export function renderRememberForm(container, file, onSaved) {
+    container.innerHTML = '';
+    container.classList.remove('hidden');
+    const openBtn = document.createElement('button');
+    openBtn.type = 'button';
+    openBtn.textContent = '🔒 Remember this export…';
+    container.appendChild(openBtn);
+
+    const form = document.createElement('form');
+    form.className = 'hidden';
+    form.style.marginTop = '0.5rem';
+    const note = document.createElement('p');
+    note.textContent = `${file.name} (${formatSize(file.size)}) is encrypted with a key derived from your passphrase and ` +
+        'kept in this browser only. The passphrase is not stored and cannot be recovered.';
+    const passphrase = passwordInput(`Passphrase (at least ${MIN_PASSPHRASE_LENGTH} characters)`);
+    const confirmation = passwordInput('Repeat passphrase');
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.textContent = 'Encrypt and save';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.textContent = 'Cancel';
+    const status = document.createElement('span');
+    status.style.marginLeft = '0.5rem';
+    form.appendChild(note);
+    [passphrase, confirmation, saveBtn, cancelBtn, status].forEach(el => form.appendChild(el));
+    container.appendChild(form);
+
+    openBtn.addEventListener('click', () => {
+        form.classList.remove('hidden');
+        openBtn.classList.add('hidden');
+        passphrase.focus();
+    });
+    cancelBtn.addEventListener('click', () => {
+        form.reset();
+        status.textContent = '';
+        form.classList.add('hidden');
+        openBtn.classList.remove('hidden');
+    });
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (passphrase.value.length < MIN_PASSPHRASE_LENGTH) {
+            status.textContent = `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+            return;
+        }
+        if (passphrase.value !== confirmation.value) {
+            status.textContent = 'The passphrases do not match.';
+            return;
+        }
+        saveBtn.disabled = true;
+        cancelBtn.disabled = true;
+        try {
+            await saveExport(file, file.name, passphrase.value, (done, total) => {
+                status.textContent = `Encrypting… ${Math.round(done / total * 100)}%`;
+            });
+            container.innerHTML = '';
+            const saved = document.createElement('p');
+            saved.textContent = `🔒 ${file.name} is saved in this browser.`;
+            container.appendChild(saved);
+            onSaved?.();
+        } catch (err) {
+            console.error('Could not save export', err);
+            status.textContent = 'Could not save: ' + err.message;
+            saveBtn.disabled = false;
+            cancelBtn.disabled = false;
+        }
+    });
+}
+
+// List the saved exports; the container stays hidden while there are none
+export async function renderSavedExports(container, onOpen) {
+    let saved;
+    try {
+        saved = await listSavedExports();
+    } catch (err) {
+        console.error('Could not list saved exports', err);
+        saved = [];
+    }
+    container.innerHTML = '';
+    container.classList.toggle('hidden', !saved.length);
+    if (!saved.length) return;
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Saved exports';
+    container.appendChild(heading);
+    const status = document.createElement('p');
+
+    const table = document.createElement('table');
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    ['Name', 'Size', 'Saved', 'Last opened', ''].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headRow.appendChild(th);
+    });
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+    const tbody = document.createElement('tbody');
+    for (const entry of saved) {
+        const tr = document.createElement('tr');
+        [entry.name, formatSize(entry.size), formatDate(entry.savedAt), formatDate(entry.lastOpened)].forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+        const actions = document.createElement('td');
+        const form = document.createElement('form');
+        form.style.display = 'inline-flex';
+        form.style.gap = '0.25rem';
+        const passphrase = passwordInput('Passphrase');
+        passphrase.autocomplete = 'current-password';
+        const openBtn = document.createElement('button');
+        openBtn.type = 'submit';
+        openBtn.textContent = '🔓 Open';
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.textContent = '🗑️ Delete';
+        [passphrase, openBtn, deleteBtn].forEach(el => form.appendChild(el));
+        actions.appendChild(form);
+        tr.appendChild(actions);
+        tbody.appendChild(tr);
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            openBtn.disabled = true;
+            try {
+                const file = await openSavedExport(entry.id, passphrase.value, (done, total) => {
+                    status.textContent = `Decrypting ${entry.name}… ${Math.round(done / total * 100)}%`;
+                });
+                passphrase.value = '';
+                status.textContent = '';
+                await onOpen(file);
+            } catch (err) {
+                console.error('Could not open saved export', err);
+                status.textContent = `Could not open ${entry.name}: ${err.message}`;
+            } finally {
+                openBtn.disabled = false;
+            }
+        });
+        deleteBtn.addEventListener('click', async () => {
+            if (!confirm(`Delete the saved copy of ${entry.name} from this browser?`)) return;
+            try {
+                await deleteSavedExport(entry.id);
+            } catch (err) {
+                console.error('Could not delete saved export', err);
+            }
+            renderSavedExports(container, onOpen);
+        });
+    }
+    table.appendChild(tbody);
+    container.appendChild(table);
+    container.appendChild(status);
+
+    const wipeBtn = document.createElement('button');
+    wipeBtn.type = 'button';
+    wipeBtn.textContent = '🗑️ Wipe all saved exports';
+    wipeBtn.addEventListener('click', async () => {
+        if (!confirm('Delete every saved export from this browser? This cannot be undone.')) return;
+        wipeBtn.disabled = true;
+        try {
+            await wipeSavedExports({
+                onBlocked: () => {
+                    status.textContent = 'Waiting for other tabs of this page to close before wiping…';
+                }
+            });
+        } catch (err) {
+            console.error('Could not wipe saved exports', err);
+            status.textContent = 'Could not wipe: ' + err.message;
+            wipeBtn.disabled = false;
+            return;
+        }
+        renderSavedExports(container, onOpen);
+    });
+    container.appendChild(wipeBtn);
+}
@@ -0,0 +1,173 @@
+// search-index.js
+// In-memory inverted index over message content, used by the Search section,
+// and indexExport(), which reads every searchable source of an export into
+// it. It has no DOM dependencies so it can run inside a Web Worker
+// (search-worker.js) or, as a fallback, on the main thread.
+
+import { searchSources } from './registry.js';
+import { parseTimestamp } from './messages.js';
+
+// Query words shorter than this only match whole words, longer ones also
+// match as a prefix ("pass" finds "password")
+const MIN_PREFIX_LENGTH = 3;
+
+// Split text into lowercase words (letters, digits and underscores)
+export function tokenize(text) {
+    return String(text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+// Split a query into "quoted phrases" and single words. Every word of a
+// phrase is also used to narrow down the candidates through the index.
+export function parseQuery(q) {
+    const phrases = [];
+    const words = [];
+    const re = /"([^"]*)"|(\S+)/g;
+    let match;
+    while ((match = re.exec(String(q || ''))) !== null) {
+        if (match[1] !== undefined) {
+            const phrase = match[1].trim().toLowerCase();
+            if (phrase) phrases.push(phrase);
+        } else {
+            words.push(...tokenize(match[2]));
+        }
+    }
+    const terms = Array.from(new Set([...words, ...phrases.flatMap(tokenize)]));
+    return { phrases, words, terms };
+}
+
+// Intersect two ascending arrays of document numbers
+function intersect(a, b) {
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            result.push(a[i]);
+            i++;
+            j++;
+        } else if (a[i] < b[j]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return result;
+}
+
+export function createSearchIndex() {
+    // Documents are stored in insertion order, i.e. chronologically per channel
+    const docs = [];
+    const postings = new Map();
+
+    // Look up the documents containing a query term (exact, or as a prefix
+    // for longer terms)
+    const lookup = (term) => {
+        if (term.length < MIN_PREFIX_LENGTH) return postings.get(term) || [];
+        const merged = new Set();
+        for (const [token, list] of postings) {
+            if (token.startsWith(term)) list.forEach(n => merged.add(n));
+        }
+        return Array.from(merged).sort((a, b) => a - b);
+    };
+
+    // messages: [{ id, time, timestamp, content, attachments, hasAttachments }]
+    // of one channel, where time is milliseconds since the epoch (or null) and
+    // timestamp the raw value from the export
+    const add = (channel, messages) => {
+        for (const m of messages) {
+            const n = docs.length;
+            docs.push({
+                channel,
+                id: m.id,
+                time: m.time ?? null,
+                timestamp: m.timestamp ?? '',
+                content: m.content || '',
+                attachments: m.attachments || '',
+                hasAttachments: !!m.hasAttachments
+            });
+            for (const token of new Set(tokenize(m.content))) {
+                let list = postings.get(token);
+                if (!list) postings.set(token, list = []);
+                list.push(n);
+            }
+        }
+    };
+
+    const contextOf = (n, offset) => {
+        const doc = docs[n + offset];
+        return doc && doc.channel === docs[n].channel ? doc.content : null;
+    };
+
+    // Filters: from/to (ms), channels (array of channel keys), hasAttachments.
+    // Returns the newest `limit` hits with the neighbouring messages as context.
+    const query = ({ q = '', from = null, to = null, channels = null, hasAttachments = false, limit = 200 } = {}) => {
+        const { phrases, terms } = parseQuery(q);
+        const channelSet = channels && channels.length ? new Set(channels) : null;
+        if (!terms.length && !phrases.length && !channelSet && from === null && to === null && !hasAttachments) {
+            return { total: 0, hits: [] };
+        }
+
+        let candidates = null;
+        for (const list of terms.map(lookup).sort((a, b) => a.length - b.length)) {
+            candidates = candidates ? intersect(candidates, list) : list;
+            if (!candidates.length) break;
+        }
+
+        const matches = [];
+        const check = (n) => {
+            const doc = docs[n];
+            if (channelSet && !channelSet.has(doc.channel)) return;
+            if (from !== null && (doc.time === null || doc.time < from)) return;
+            if (to !== null && (doc.time === null || doc.time > to)) return;
+            if (hasAttachments && !doc.hasAttachments) return;
+            if (phrases.length) {
+                const text = doc.content.toLowerCase();
+                if (!phrases.every(p => text.includes(p))) return;
+            }
+            matches.push(n);
+        };
+        if (candidates) {
+            candidates.forEach(check);
+        } else {
+            for (let n = 0; n < docs.length; n++) check(n);
+        }
+
+        matches.sort((a, b) => (docs[b].time ?? 0) - (docs[a].time ?? 0));
+        return {
+            total: matches.length,
+            hits: matches.slice(0, limit).map(n => ({
+                ...docs[n],
+                before: contextOf(n, -1),
+                after: contextOf(n, 1)
+            }))
+        };
+    };
+
+    return { add, query, size: () => docs.length };
+}
+
+// Read every searchable source of an export (see searchSources() in
+// registry.js) and add its messages to the index. onStart(total) is called
+// once the sources are known, onSource(event) after each source with
+// { key, section, info, count } or { key, error }.
+export async function indexExport(zip, index, { onStart, onSource }) {
+    const sources = await searchSources(zip);
+    onStart(sources.length);
+    for (const source of sources) {
+        try {
+            const { info, messages } = await source.load();
+            index.add(source.key, messages.map(m => ({
+                id: m.id,
+                time: parseTimestamp(m.timestamp)?.getTime() ?? null,
+                timestamp: m.timestamp,
+                content: m.content,
+                attachments: m.attachments,
+                hasAttachments: !!(m.attachments && String(m.attachments).trim())
+            })));
+            onSource({ key: source.key, section: source.section, info, count: messages.length });
+        } catch (err) {
+            console.error('Search indexing error', source.key, err);
+            onSource({ key: source.key, error: err.message });
+        }
+    }
+}
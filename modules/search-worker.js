@@ -0,0 +1,36 @@
+// search-worker.js
+// Web Worker that reads the export and owns the search index, so
+// decompressing, parsing and tokenising millions of messages does not block
+// the page. The worker opens its own copy of the ZIP from the dropped file.
+// Messages:
+//  - { type: 'index', file } → { type: 'start', total }, then
+//    { type: 'source', event } per source (see indexExport()) and
+//    { type: 'done' }; { type: 'failed', message } if the file cannot be opened
+//  - { type: 'query', requestId, query } → { type: 'result', requestId, result }
+
+/* global JSZip */
+
+import '../jszip.min.js';
+import { createSearchIndex, indexExport } from './search-index.js';
+
+const index = createSearchIndex();
+
+self.addEventListener('message', async (e) => {
+    const msg = e.data;
+    if (msg.type === 'index') {
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(msg.file);
+        } catch (err) {
+            self.postMessage({ type: 'failed', message: err.message });
+            return;
+        }
+        await indexExport(zip, index, {
+            onStart: (total) => self.postMessage({ type: 'start', total }),
+            onSource: (event) => self.postMessage({ type: 'source', event })
+        });
+        self.postMessage({ type: 'done' });
+    } else if (msg.type === 'query') {
+        self.postMessage({ type: 'result', requestId: msg.requestId, result: index.query(msg.query) });
+    }
+});
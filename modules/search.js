@@ -0,0 +1,429 @@
+// search.js
+// Global full-text search across every channel of the Messages folder and
+// whatever else sections contribute through registry.js (e.g. audit logs).
+// Messages are read and indexed in a Web Worker (search-worker.js), so the
+// page stays responsive on exports with millions of messages.
+//  - render(zip, container): builds the index on first use and shows the search form.
+//  - test(zip): runs simple unit tests on the index and query parsing.
+
+/* global JSZip */
+
+import { createSearchIndex, indexExport, parseQuery, tokenize } from './search-index.js';
+import { createExportControls } from './export.js';
+import { zipFile } from './loader.js';
+import { dayStart, formatDateTime, nextDay } from './time.js';
+
+export const section = {
+    id: 'search',
+    label: 'Search',
+    order: 30,
+    paths: [/^Messages\//i]
+};
+
+// Search state per loaded ZIP: the index client, channel infos and progress
+const searches = new WeakMap();
+
+// Read and index the export in the worker (search-worker.js), which opens
+// its own copy of the ZIP from the dropped file (see zipFile() in
+// loader.js). Without a worker or the file (e.g. when the page is opened
+// from file://), the same indexing runs on the page. handlers are those of
+// indexExport() plus onDone().
+function createIndexClient(zip, handlers) {
+    const file = zipFile(zip);
+    let worker = null;
+    let local = null;
+    // Queries waiting for the worker, answered locally after a fallback
+    const pending = new Map();
+    let nextId = 0;
+
+    const indexOnPage = () => {
+        local = createSearchIndex();
+        indexExport(zip, local, handlers).then(handlers.onDone);
+        for (const { resolve, query } of pending.values()) resolve(local.query(query));
+        pending.clear();
+    };
+
+    if (file) {
+        try {
+            worker = new Worker(new URL('./search-worker.js', import.meta.url), { type: 'module' });
+        } catch (_) {
+            worker = null;
+        }
+    }
+    if (!worker) {
+        indexOnPage();
+    } else {
+        // A worker that fails to start (e.g. no module worker support) or to
+        // open the file is replaced by indexing on the page, from scratch
+        const fallBack = (reason) => {
+            console.error('Search worker error, indexing on the page instead', reason);
+            worker.terminate();
+            worker = null;
+            indexOnPage();
+        };
+        worker.addEventListener('message', (e) => {
+            const msg = e.data;
+            if (msg.type === 'start') {
+                handlers.onStart(msg.total);
+            } else if (msg.type === 'source') {
+                handlers.onSource(msg.event);
+            } else if (msg.type === 'done') {
+                handlers.onDone();
+            } else if (msg.type === 'failed') {
+                fallBack(msg.message);
+            } else if (msg.type === 'result') {
+                const request = pending.get(msg.requestId);
+                if (request) {
+                    pending.delete(msg.requestId);
+                    request.resolve(msg.result);
+                }
+            }
+        });
+        worker.addEventListener('error', fallBack);
+        worker.postMessage({ type: 'index', file });
+    }
+
+    return {
+        query: (query) => {
+            if (local) return Promise.resolve(local.query(query));
+            const requestId = nextId++;
+            return new Promise(resolve => {
+                pending.set(requestId, { resolve, query });
+                worker.postMessage({ type: 'query', requestId, query });
+            });
+        }
+    };
+}
+
+// Start indexing the export (once per ZIP) and return its search state
+function getSearch(zip) {
+    if (searches.has(zip)) return searches.get(zip);
+    const state = {
+        channels: new Map(), // source key -> channel info
+        sections: new Map(), // source key -> section that opens its hits
+        indexed: 0,
+        total: 0,
+        messages: 0,
+        failed: [],
+        done: false,
+        listeners: new Set()
+    };
+    const notify = () => state.listeners.forEach(fn => fn(state));
+    state.client = createIndexClient(zip, {
+        // Also called again when indexing restarts on the page
+        onStart: (total) => {
+            Object.assign(state, { total, indexed: 0, messages: 0, failed: [], done: false });
+            state.channels.clear();
+            state.sections.clear();
+            notify();
+        },
+        onSource: (event) => {
+            if (event.error) {
+                state.failed.push(event.key);
+            } else {
+                state.channels.set(event.key, event.info);
+                state.sections.set(event.key, event.section);
+                state.messages += event.count;
+            }
+            state.indexed++;
+            notify();
+        },
+        onDone: () => {
+            state.done = true;
+            notify();
+        }
+    });
+    searches.set(zip, state);
+    return state;
+}
+
+// Append text to an element with every occurrence of the given words
+// wrapped in <mark>, using text nodes only
+function appendHighlighted(el, text, words) {
+    const needles = words.filter(Boolean).map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (!needles.length) {
+        el.appendChild(document.createTextNode(text));
+        return;
+    }
+    const re = new RegExp(`(${needles.join('|')})`, 'gi');
+    let last = 0;
+    let match;
+    while ((match = re.exec(text)) !== null) {
+        if (!match[0]) {
+            re.lastIndex++;
+            continue;
+        }
+        el.appendChild(document.createTextNode(text.slice(last, match.index)));
+        const mark = document.createElement('mark');
+        mark.textContent = match[0];
+        el.appendChild(mark);
+        last = match.index + match[0].length;
+    }
+    el.appendChild(document.createTextNode(text.slice(last)));
+}
+
+function channelLabel(info) {
+    if (!info) return 'Unknown channel';
+    if (info.label) return info.label;
+    return info.guild && !info.is_dm ? `#${info.name} (${info.guild})` : info.name;
+}
+
+// Group search hits per channel (oldest first) for the exporters
+function groupHits(state, hits) {
+    const groups = new Map();
+    for (const hit of hits.slice().sort((a, b) => (a.time ?? 0) - (b.time ?? 0))) {
+        if (!groups.has(hit.channel)) {
+            groups.set(hit.channel, { info: state.channels.get(hit.channel) || { id: hit.channel, name: hit.channel }, messages: [] });
+        }
+        groups.get(hit.channel).messages.push({
+            id: hit.id,
+            timestamp: hit.timestamp,
+            content: hit.content,
+            attachments: hit.attachments
+        });
+    }
+    return Array.from(groups.values());
+}
+
+function renderHits(output, state, result, query) {
+    output.innerHTML = '';
+    const { phrases, words } = parseQuery(query.q);
+    const header = document.createElement('div');
+    header.style.display = 'flex';
+    header.style.flexWrap = 'wrap';
+    header.style.alignItems = 'center';
+    header.style.gap = '0.5rem';
+    const count = document.createElement('span');
+    count.style.marginRight = 'auto';
+    count.textContent = result.total > result.hits.length
+        ? `${result.total} results, showing the newest ${result.hits.length}.`
+        : `${result.total} results.`;
+    header.appendChild(count);
+    if (result.total) {
+        // Export every match, not only the ones shown
+        header.appendChild(createExportControls(async () => {
+            const all = await state.client.query({ ...query, limit: Infinity });
+            return groupHits(state, all.hits);
+        }, `search ${query.q}`.trim()));
+    }
+    output.appendChild(header);
+
+    for (const hit of result.hits) {
+        const info = state.channels.get(hit.channel);
+        const item = document.createElement('div');
+        item.style.padding = '0.5rem';
+        item.style.borderBottom = '1px solid #eee';
+        item.style.cursor = 'pointer';
+
+        const meta = document.createElement('div');
+        meta.style.fontSize = '0.85rem';
+        meta.style.color = '#555';
+        meta.textContent = `${channelLabel(info)} — ${hit.time !== null ? formatDateTime(new Date(hit.time)) : 'unknown date'}`;
+        meta.title = hit.timestamp || '';
+        item.appendChild(meta);
+
+        const context = (text) => {
+            const line = document.createElement('div');
+            line.style.color = '#888';
+            line.style.fontSize = '0.85rem';
+            line.textContent = text;
+            return line;
+        };
+        if (hit.before !== null) item.appendChild(context(hit.before));
+        const body = document.createElement('div');
+        body.style.whiteSpace = 'pre-wrap';
+        body.style.wordBreak = 'break-word';
+        appendHighlighted(body, hit.content, [...phrases, ...words]);
+        if (hit.hasAttachments) body.appendChild(document.createTextNode(' 📎'));
+        item.appendChild(body);
+        if (hit.after !== null) item.appendChild(context(hit.after));
+
+        item.addEventListener('click', () => {
+            document.dispatchEvent(new CustomEvent('navigate', {
+                detail: { section: state.sections.get(hit.channel) || 'messages', channel: hit.channel, messageId: hit.id }
+            }));
+        });
+        output.appendChild(item);
+    }
+}
+
+// Render the search page
+export async function render(zip, container) {
+    container.innerHTML = '';
+    const state = getSearch(zip);
+
+    const card = document.createElement('div');
+    card.className = 'card';
+    const heading = document.createElement('h2');
+    heading.textContent = 'Search Messages';
+    card.appendChild(heading);
+
+    const form = document.createElement('form');
+    form.style.display = 'flex';
+    form.style.flexWrap = 'wrap';
+    form.style.gap = '0.5rem';
+    form.style.alignItems = 'center';
+
+    const queryInput = document.createElement('input');
+    queryInput.type = 'search';
+    queryInput.placeholder = 'Words or "exact phrase"';
+    queryInput.style.flex = '1';
+    queryInput.style.minWidth = '200px';
+
+    const scopeSelect = document.createElement('select');
+
+    const fromInput = document.createElement('input');
+    fromInput.type = 'date';
+    fromInput.title = 'From';
+    const toInput = document.createElement('input');
+    toInput.type = 'date';
+    toInput.title = 'To';
+
+    const attachmentLabel = document.createElement('label');
+    const attachmentBox = document.createElement('input');
+    attachmentBox.type = 'checkbox';
+    attachmentLabel.appendChild(attachmentBox);
+    attachmentLabel.appendChild(document.createTextNode(' has attachment'));
+
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.textContent = 'Search';
+
+    [queryInput, scopeSelect, fromInput, toInput, attachmentLabel, submit].forEach(el => form.appendChild(el));
+    card.appendChild(form);
+
+    const status = document.createElement('p');
+    status.style.fontSize = '0.9rem';
+    status.style.color = '#555';
+    card.appendChild(status);
+    container.appendChild(card);
+
+    const output = document.createElement('div');
+    output.className = 'card';
+    output.textContent = 'Enter a search term or choose a filter.';
+    container.appendChild(output);
+
+    // Scope options: all channels, whole servers or single channels
+    const fillScopes = () => {
+        const previous = scopeSelect.value;
+        scopeSelect.innerHTML = '';
+        const all = document.createElement('option');
+        all.value = '';
+        all.textContent = 'All channels';
+        scopeSelect.appendChild(all);
+        const infos = Array.from(state.channels.entries());
+        const guilds = Array.from(new Set(infos.filter(([, i]) => !i.is_dm && i.guild).map(([, i]) => i.guild))).sort();
+        const serverGroup = document.createElement('optgroup');
+        serverGroup.label = 'Servers';
+        const dmOption = document.createElement('option');
+        dmOption.value = 'dm:';
+        dmOption.textContent = 'All direct messages';
+        serverGroup.appendChild(dmOption);
+        for (const guild of guilds) {
+            const option = document.createElement('option');
+            option.value = `guild:${guild}`;
+            option.textContent = guild;
+            serverGroup.appendChild(option);
+        }
+        scopeSelect.appendChild(serverGroup);
+        const channelGroup = document.createElement('optgroup');
+        channelGroup.label = 'Channels';
+        infos.sort((a, b) => channelLabel(a[1]).localeCompare(channelLabel(b[1])));
+        for (const [dir, info] of infos) {
+            const option = document.createElement('option');
+            option.value = `channel:${dir}`;
+            option.textContent = channelLabel(info);
+            channelGroup.appendChild(option);
+        }
+        scopeSelect.appendChild(channelGroup);
+        scopeSelect.value = previous;
+    };
+
+    const updateStatus = () => {
+        if (!status.isConnected) {
+            state.listeners.delete(updateStatus);
+            return;
+        }
+        if (state.done && !state.total) {
+            status.textContent = 'This export has no searchable messages.';
+        } else if (state.done) {
+            status.textContent = `Indexed ${state.messages.toLocaleString()} messages in ${state.total} channels.`;
+        } else if (!state.total) {
+            status.textContent = 'Preparing the index…';
+        } else {
+            status.textContent = `Indexing… ${state.indexed} of ${state.total} channels (${state.messages.toLocaleString()} messages). Results may be incomplete.`;
+        }
+        if (state.failed.length) status.textContent += ` ${state.failed.length} channels could not be read.`;
+        if (state.done) fillScopes();
+    };
+    state.listeners.add(updateStatus);
+    updateStatus();
+    fillScopes();
+
+    // Resolve the scope selection into a list of channel directories
+    const scopeChannels = () => {
+        const [kind, value] = scopeSelect.value.split(/:(.*)/s);
+        if (!kind) return null;
+        const infos = Array.from(state.channels.entries());
+        if (kind === 'channel') return [value];
+        if (kind === 'dm') return infos.filter(([, i]) => i.is_dm).map(([dir]) => dir);
+        return infos.filter(([, i]) => !i.is_dm && i.guild === value).map(([dir]) => dir);
+    };
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const q = queryInput.value;
+        const query = {
+            q,
+            // Whole days in the chosen time zone
+            from: fromInput.value ? dayStart(fromInput.value) : null,
+            to: toInput.value ? dayStart(nextDay(toInput.value)) - 1 : null,
+            channels: scopeChannels(),
+            hasAttachments: attachmentBox.checked
+        };
+        output.textContent = 'Searching…';
+        const result = await state.client.query(query);
+        renderHits(output, state, result, query);
+    });
+}
+
+// Simple tests for the search module
+export async function test(zip) {
+    const results = [];
+    results.push({ name: 'tokenize splits words', passed: tokenize('Hello, Wörld_1!').join() === 'hello,wörld_1' });
+    const parsed = parseQuery('wifi "the password" x');
+    results.push({
+        name: 'parseQuery extracts phrases and words',
+        passed: parsed.phrases.join() === 'the password' && parsed.words.join() === 'wifi,x' && parsed.terms.includes('password')
+    });
+
+    const index = createSearchIndex();
+    index.add('a', [
+        { id: '1', time: 1000, content: 'the wifi password is hunter2', hasAttachments: false },
+        { id: '2', time: 2000, content: 'password reset', hasAttachments: true }
+    ]);
+    index.add('b', [{ id: '3', time: 3000, content: 'no secrets here', hasAttachments: false }]);
+    const phrase = index.query({ q: '"wifi password"' });
+    const prefix = index.query({ q: 'pass' });
+    const filtered = index.query({ q: 'password', hasAttachments: true, from: 1500 });
+    const scoped = index.query({ channels: ['b'] });
+    results.push({ name: 'search index matches phrases', passed: phrase.total === 1 && phrase.hits[0].id === '1' && phrase.hits[0].after === 'password reset' });
+    results.push({ name: 'search index matches prefixes', passed: prefix.total === 2 && prefix.hits[0].id === '2' });
+    results.push({ name: 'search index applies filters', passed: filtered.total === 1 && filtered.hits[0].id === '2' && scoped.total === 1 });
+
+    // Reading an export into the index, as the worker does
+    const sample = new JSZip();
+    sample.file('Messages/c5/channel.json', JSON.stringify({ id: '5', type: 0, name: 'general', guild: { id: '9', name: 'Guild' } }));
+    sample.file('Messages/c5/messages.json', JSON.stringify([{ ID: '50', Timestamp: '2022-01-01 10:00:00', Contents: 'indexed in the worker' }]));
+    sample.file('Messages/c6/messages.json', 'not json');
+    const exportIndex = createSearchIndex();
+    const events = [];
+    let total = null;
+    await indexExport(sample, exportIndex, { onStart: (n) => { total = n; }, onSource: (event) => events.push(event) });
+    results.push({
+        name: 'indexExport reads every channel and reports unreadable ones',
+        passed: total === 2 && events.some(e => e.key === 'c5' && e.count === 1 && e.info.name === 'general') &&
+            events.some(e => e.key === 'c6' && e.error) && exportIndex.query({ q: 'worker' }).total === 1
+    });
+    return results;
+}
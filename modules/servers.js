@@ -0,0 +1,447 @@
+// servers.js
+// Module responsible for the Servers folder of a Discord data export. It lists
+// every guild from Servers/index.json, shows the raw guild.json of the selected
+// server and renders its audit-log.json as a filterable table. Channels that
+// the Messages module groups under the same guild are linked as well.
+//  - render(zip, container, options): builds the server browser inside the
+//    container; options.server (or an "audit:<id>" options.channel from a
+//    search hit) opens that server.
+//  - test(zip): runs simple checks on the parsing logic.
+
+/* global JSZip */
+
+import { listChannelDirs, readChannelInfo } from './messages.js';
+import { dayStart, formatDateTime, nextDay } from './time.js';
+
+// Section registration (see registry.js). Audit log entries are searchable
+// and their action types are counted on the statistics page.
+export const section = {
+    id: 'servers',
+    label: 'Servers',
+    order: 60,
+    paths: [/^Servers\//i],
+    search: async (zip) => (await parseServerIndex(zip))
+        .filter(server => zip.file(`Servers/${server.id}/audit-log.json`))
+        .map(server => ({
+            key: `audit:${server.id}`,
+            section: 'servers',
+            load: async () => ({
+                info: { id: server.id, name: 'Audit log', guild: server.name, label: `Audit log (${server.name})` },
+                messages: (await parseAuditLog(zip, server.id)).map(e => ({
+                    id: e.id,
+                    timestamp: e.date ? e.date.toISOString() : '',
+                    content: [e.action, e.targetId && `target ${e.targetId}`, e.reason].filter(Boolean).join(' – '),
+                    attachments: ''
+                }))
+            })
+        })),
+    stats: async (zip) => {
+        const actions = new Map();
+        for (const server of await parseServerIndex(zip)) {
+            for (const e of await parseAuditLog(zip, server.id)) {
+                actions.set(e.action, (actions.get(e.action) || 0) + 1);
+            }
+        }
+        if (!actions.size) return [];
+        return [{
+            title: 'Audit Log Actions',
+            chart: 'ranking',
+            data: Array.from(actions.entries()).sort((a, b) => b[1] - a[1]).map(([label, value]) => ({ label, value }))
+        }];
+    }
+};
+
+// Discord epoch (2015-01-01) used to derive dates from snowflake IDs
+const DISCORD_EPOCH = 1420070400000n;
+
+// Human readable names for audit log action types
+const AUDIT_LOG_ACTIONS = {
+    1: 'Server updated',
+    10: 'Channel created',
+    11: 'Channel updated',
+    12: 'Channel deleted',
+    13: 'Permission overwrite created',
+    14: 'Permission overwrite updated',
+    15: 'Permission overwrite deleted',
+    20: 'Member kicked',
+    21: 'Members pruned',
+    22: 'Member banned',
+    23: 'Member unbanned',
+    24: 'Member updated',
+    25: 'Member roles updated',
+    26: 'Member moved',
+    27: 'Member disconnected',
+    28: 'Bot added',
+    30: 'Role created',
+    31: 'Role updated',
+    32: 'Role deleted',
+    40: 'Invite created',
+    41: 'Invite updated',
+    42: 'Invite deleted',
+    50: 'Webhook created',
+    51: 'Webhook updated',
+    52: 'Webhook deleted',
+    60: 'Emoji created',
+    61: 'Emoji updated',
+    62: 'Emoji deleted',
+    72: 'Message deleted',
+    73: 'Messages bulk deleted',
+    74: 'Message pinned',
+    75: 'Message unpinned',
+    80: 'Integration created',
+    81: 'Integration updated',
+    82: 'Integration deleted',
+    83: 'Stage started',
+    84: 'Stage updated',
+    85: 'Stage ended',
+    90: 'Sticker created',
+    91: 'Sticker updated',
+    92: 'Sticker deleted',
+    100: 'Event created',
+    101: 'Event updated',
+    102: 'Event deleted',
+    110: 'Thread created',
+    111: 'Thread updated',
+    112: 'Thread deleted',
+    121: 'Command permissions updated',
+    140: 'AutoMod rule created',
+    141: 'AutoMod rule updated',
+    142: 'AutoMod rule deleted',
+    143: 'AutoMod blocked message',
+    144: 'AutoMod flagged message',
+    145: 'AutoMod timed out member'
+};
+
+async function readJson(zip, path) {
+    const file = zip.file(path);
+    if (!file) throw new Error(`File not found: ${path}`);
+    const text = await file.async('string');
+    return JSON.parse(text);
+}
+
+// Convert a snowflake ID into a Date, or null if the ID is not numeric
+export function snowflakeToDate(id) {
+    if (!/^\d+$/.test(String(id ?? ''))) return null;
+    return new Date(Number((BigInt(id) >> 22n) + DISCORD_EPOCH));
+}
+
+function actionName(type) {
+    return AUDIT_LOG_ACTIONS[type] || `Action ${type}`;
+}
+
+// List the servers of the export. Servers/index.json maps guild IDs to names;
+// folders that are missing from the index are still included by their ID.
+export async function parseServerIndex(zip) {
+    let index = {};
+    if (zip.file('Servers/index.json')) {
+        index = await readJson(zip, 'Servers/index.json');
+    }
+    const ids = new Set(Object.keys(index));
+    zip.forEach((relativePath) => {
+        const match = relativePath.match(/^Servers\/([^/]+)\//);
+        if (match) ids.add(match[1]);
+    });
+    return Array.from(ids)
+        .map(id => ({ id, name: index[id] || id }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function parseGuild(zip, id) {
+    const path = `Servers/${id}/guild.json`;
+    if (!zip.file(path)) return null;
+    return readJson(zip, path);
+}
+
+async function parseAuditLog(zip, id) {
+    const path = `Servers/${id}/audit-log.json`;
+    if (!zip.file(path)) return [];
+    const entries = await readJson(zip, path);
+    if (!Array.isArray(entries)) return [];
+    return entries.map(e => ({
+        id: e.id,
+        userId: e.user_id ?? null,
+        targetId: e.target_id ?? null,
+        actionType: e.action_type,
+        action: actionName(e.action_type),
+        date: snowflakeToDate(e.id),
+        reason: e.reason ?? '',
+        changes: Array.isArray(e.changes) ? e.changes : []
+    }));
+}
+
+// Find the message channels belonging to the given server, matched by guild
+// ID when channel.json has one and by guild name otherwise.
+async function channelsForServer(zip, server) {
+    const channels = [];
+    for (const dir of listChannelDirs(zip).sort()) {
+        const info = await readChannelInfo(zip, dir);
+        if (info.is_dm) continue;
+        if ((info.guildId && info.guildId === server.id) || (!info.guildId && info.guild === server.name)) {
+            channels.push({ dir, name: info.name });
+        }
+    }
+    return channels;
+}
+
+function renderKeyValueTable(obj) {
+    const table = document.createElement('table');
+    const tbody = document.createElement('tbody');
+    for (const [key, value] of Object.entries(obj)) {
+        const tr = document.createElement('tr');
+        const th = document.createElement('th');
+        th.textContent = key;
+        const td = document.createElement('td');
+        td.style.wordBreak = 'break-word';
+        td.textContent = typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value ?? '');
+        tr.appendChild(th);
+        tr.appendChild(td);
+        tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+    return table;
+}
+
+function renderAuditLog(entries) {
+    const wrapper = document.createElement('div');
+    const filters = document.createElement('div');
+    filters.style.display = 'flex';
+    filters.style.flexWrap = 'wrap';
+    filters.style.gap = '0.5rem';
+    filters.style.marginBottom = '0.5rem';
+
+    const actionSelect = document.createElement('select');
+    const allOption = document.createElement('option');
+    allOption.value = '';
+    allOption.textContent = 'All actions';
+    actionSelect.appendChild(allOption);
+    const types = Array.from(new Set(entries.map(e => e.actionType))).sort((a, b) => a - b);
+    for (const type of types) {
+        const option = document.createElement('option');
+        option.value = String(type);
+        option.textContent = actionName(type);
+        actionSelect.appendChild(option);
+    }
+
+    const targetInput = document.createElement('input');
+    targetInput.type = 'search';
+    targetInput.placeholder = 'Target ID';
+
+    const fromInput = document.createElement('input');
+    fromInput.type = 'date';
+    fromInput.title = 'From';
+    const toInput = document.createElement('input');
+    toInput.type = 'date';
+    toInput.title = 'To';
+
+    [actionSelect, targetInput, fromInput, toInput].forEach(el => filters.appendChild(el));
+    wrapper.appendChild(filters);
+
+    const count = document.createElement('p');
+    wrapper.appendChild(count);
+
+    const table = document.createElement('table');
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    ['Date', 'Action', 'Target', 'User', 'Reason', 'Changes'].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headRow.appendChild(th);
+    });
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+    const tbody = document.createElement('tbody');
+    table.appendChild(tbody);
+    wrapper.appendChild(table);
+
+    const update = () => {
+        const type = actionSelect.value;
+        const target = targetInput.value.trim();
+        // Whole days in the chosen time zone; the end is exclusive
+        const from = fromInput.value ? dayStart(fromInput.value) : null;
+        const to = toInput.value ? dayStart(nextDay(toInput.value)) : null;
+        const filtered = entries.filter(e => {
+            if (type && String(e.actionType) !== type) return false;
+            if (target && !String(e.targetId ?? '').includes(target)) return false;
+            if (from !== null && (!e.date || e.date.getTime() < from)) return false;
+            if (to !== null && (!e.date || e.date.getTime() >= to)) return false;
+            return true;
+        });
+        count.textContent = `${filtered.length} of ${entries.length} entries`;
+        tbody.innerHTML = '';
+        for (const e of filtered) {
+            const tr = document.createElement('tr');
+            const changes = e.changes
+                .map(c => `${c.key}: ${JSON.stringify(c.old_value ?? null)} → ${JSON.stringify(c.new_value ?? null)}`)
+                .join('; ');
+            [e.date ? formatDateTime(e.date) : '', e.action, e.targetId ?? '', e.userId ?? '', e.reason, changes].forEach(text => {
+                const td = document.createElement('td');
+                td.style.verticalAlign = 'top';
+                td.style.wordBreak = 'break-word';
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        }
+    };
+    [actionSelect, fromInput, toInput].forEach(el => el.addEventListener('change', update));
+    targetInput.addEventListener('input', update);
+    update();
+    return wrapper;
+}
+
+// Render the servers page
+export async function render(zip, container, options = {}) {
+    container.innerHTML = '';
+    const wrapper = document.createElement('div');
+    wrapper.style.display = 'flex';
+    wrapper.style.flexWrap = 'wrap';
+
+    const serverList = document.createElement('div');
+    serverList.className = 'card';
+    serverList.style.width = '30%';
+    serverList.style.minWidth = '200px';
+    serverList.style.maxHeight = '100vh';
+    serverList.style.overflowY = 'auto';
+    serverList.style.marginRight = '1rem';
+
+    const listHeading = document.createElement('h3');
+    listHeading.textContent = 'Servers';
+    serverList.appendChild(listHeading);
+
+    const ul = document.createElement('ul');
+    ul.style.listStyle = 'none';
+    ul.style.padding = 0;
+    ul.style.margin = 0;
+    serverList.appendChild(ul);
+
+    const detailView = document.createElement('div');
+    detailView.className = 'card';
+    detailView.style.flex = '1';
+    detailView.style.minWidth = '300px';
+    detailView.textContent = 'Select a server to see its details.';
+
+    wrapper.appendChild(serverList);
+    wrapper.appendChild(detailView);
+    container.appendChild(wrapper);
+
+    let servers;
+    try {
+        servers = await parseServerIndex(zip);
+    } catch (err) {
+        console.error('Servers rendering error', err);
+        detailView.textContent = 'Error loading server index: ' + err.message;
+        return;
+    }
+    listHeading.textContent = `Servers (${servers.length})`;
+    const target = options.server || (options.channel?.startsWith('audit:') ? options.channel.slice('audit:'.length) : null);
+
+    // Number of the last server opened, so a slower earlier one does not
+    // add its details to the panel
+    let shown = 0;
+
+    for (const server of servers) {
+        const li = document.createElement('li');
+        li.style.padding = '0.5rem';
+        li.style.cursor = 'pointer';
+        li.style.borderBottom = '1px solid #eee';
+        li.textContent = server.name;
+        const showServer = async () => {
+            const request = ++shown;
+            ul.querySelectorAll('li').forEach(item => {
+                item.style.backgroundColor = '';
+            });
+            li.style.backgroundColor = '#f1f4f8';
+            detailView.innerHTML = '';
+
+            const heading = document.createElement('h2');
+            heading.textContent = server.name;
+            detailView.appendChild(heading);
+            const idP = document.createElement('p');
+            idP.textContent = `Server ID: ${server.id}`;
+            detailView.appendChild(idP);
+
+            try {
+                const [guild, auditLog, channels] = await Promise.all([
+                    parseGuild(zip, server.id),
+                    parseAuditLog(zip, server.id),
+                    channelsForServer(zip, server)
+                ]);
+                if (request !== shown) return;
+
+                const channelHeading = document.createElement('h3');
+                channelHeading.textContent = `Channels with messages (${channels.length})`;
+                detailView.appendChild(channelHeading);
+                if (channels.length) {
+                    const channelList = document.createElement('ul');
+                    for (const ch of channels) {
+                        const item = document.createElement('li');
+                        const link = document.createElement('a');
+                        link.href = '#';
+                        link.textContent = `#${ch.name}`;
+                        link.addEventListener('click', (e) => {
+                            e.preventDefault();
+                            document.dispatchEvent(new CustomEvent('navigate', {
+                                detail: { section: 'messages', channel: ch.dir }
+                            }));
+                        });
+                        item.appendChild(link);
+                        channelList.appendChild(item);
+                    }
+                    detailView.appendChild(channelList);
+                }
+
+                const guildHeading = document.createElement('h3');
+                guildHeading.textContent = 'guild.json';
+                detailView.appendChild(guildHeading);
+                if (guild) {
+                    detailView.appendChild(renderKeyValueTable(guild));
+                } else {
+                    const none = document.createElement('p');
+                    none.textContent = 'No guild.json in this export.';
+                    detailView.appendChild(none);
+                }
+
+                const auditHeading = document.createElement('h3');
+                auditHeading.textContent = 'Audit Log';
+                detailView.appendChild(auditHeading);
+                if (auditLog.length) {
+                    detailView.appendChild(renderAuditLog(auditLog));
+                } else {
+                    const none = document.createElement('p');
+                    none.textContent = 'No audit log entries.';
+                    detailView.appendChild(none);
+                }
+            } catch (err) {
+                if (request !== shown) return;
+                console.error('Server rendering error', err);
+                const errorP = document.createElement('p');
+                errorP.textContent = 'Error loading server data: ' + err.message;
+                detailView.appendChild(errorP);
+            }
+        };
+        li.addEventListener('click', () => {
+            showServer();
+            document.dispatchEvent(new CustomEvent('route', { detail: { section: 'servers', server: server.id } }));
+        });
+        ul.appendChild(li);
+        if (server.id === target) showServer();
+    }
+}
+
+// Simple tests for the servers module
+export async function test(zip) {
+    const results = [];
+    const date = snowflakeToDate('175928847299117063');
+    results.push({ name: 'snowflakeToDate decodes Discord IDs', passed: !!date && date.toISOString() === '2016-04-30T11:18:25.796Z' });
+    try {
+        const servers = await parseServerIndex(zip);
+        results.push({ name: 'parseServerIndex returns array', passed: Array.isArray(servers) });
+        if (servers.length) {
+            const log = await parseAuditLog(zip, servers[0].id);
+            results.push({ name: 'parseAuditLog returns array', passed: Array.isArray(log) });
+        }
+    } catch (err) {
+        results.push({ name: 'parseServerIndex throws exception', passed: false });
+    }
+    return results;
+}
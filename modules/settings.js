@@ -0,0 +1,35 @@
+// settings.js
+// Session-wide preferences shared by the sections (e.g. the strict offline
+// mode). Values live in memory only, so nothing is written to the
+// browser's storage and every page load starts from the defaults.
+
+const DEFAULTS = {
+    // Never follow or prefetch attachment URLs without an explicit confirmation
+    offlineMode: true,
+    // Time zone and locale for dates ('' uses the browser's)
+    timeZone: '',
+    locale: '',
+    // How the Messages section lists a channel: 'table' or 'chat'
+    messageLayout: 'table',
+    // Mask e-mail, phone, IDs, IP addresses and payment details on screen
+    redact: false
+};
+
+const values = { ...DEFAULTS };
+const listeners = new Set();
+
+export function getSetting(key) {
+    return values[key];
+}
+
+export function setSetting(key, value) {
+    if (values[key] === value) return;
+    values[key] = value;
+    listeners.forEach(fn => fn(key, value));
+}
+
+// Subscribe to changes; returns a function that removes the listener
+export function onSettingChange(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+}
@@ -0,0 +1,324 @@
+// stats.js
+// Statistics dashboard for the Messages folder: messages per day and month,
+// a weekday × hour heatmap, top channels and servers, streaks, message
+// lengths and the most used words and emoji. Everything is computed from
+// readMessages() and drawn locally with the SVG helpers in charts.js.
+// Cards contributed by other sections (registry.js) follow for the whole
+// export; exports without messages get the page for those cards alone.
+//  - render(zip, container, options): options.channel / options.guild pick the initial scope.
+//  - test(zip): runs simple unit tests on the aggregation logic.
+
+/* global JSZip */
+
+import { listChannelDirs, readChannelInfo, readMessages, parseTimestamp } from './messages.js';
+import { barChart, heatmap, rankingList } from './charts.js';
+import { statsContributions } from './registry.js';
+import { dayAndHour, nextDay } from './time.js';
+import { getSetting } from './settings.js';
+
+export const section = {
+    id: 'stats',
+    label: 'Stats',
+    order: 40,
+    paths: [/^Messages\//i],
+    when: async (zip) => (await statsContributions(zip)).length > 0
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Common words that would otherwise dominate the word ranking
+// (apostrophes are dropped from words, so "don't" is counted as "dont")
+const STOP_WORDS = new Set(('the and for you that this with are was but not have just what its can all your get '
+    + 'like they out one she his her him has had were will would there their them then than when who how why '
+    + 'from about into too also our very did does dont yes yeah lol').split(' '));
+
+// Per-channel statistics per loaded ZIP ({ timeZone, result }), so switching
+// scope does not reread
+const channelStats = new WeakMap();
+
+function increment(map, key, by = 1) {
+    map.set(key, (map.get(key) || 0) + by);
+}
+
+// Aggregate the messages of one channel. Days and hours use the time zone
+// chosen in the settings (time.js).
+function aggregate(messages) {
+    const stats = {
+        count: messages.length,
+        totalLength: 0,
+        days: new Map(),
+        heat: WEEKDAYS.map(() => new Array(24).fill(0)),
+        words: new Map(),
+        emoji: new Map()
+    };
+    for (const m of messages) {
+        const content = m.content || '';
+        stats.totalLength += content.length;
+        const date = parseTimestamp(m.timestamp);
+        if (date) {
+            const { day, weekday, hour } = dayAndHour(date);
+            increment(stats.days, day);
+            stats.heat[weekday][hour]++;
+        }
+        // Custom emoji (<:name:id>) are counted by name, then removed so
+        // their names are not counted as words
+        const text = content.replace(/<a?:(\w+):\d+>/g, (_, name) => {
+            increment(stats.emoji, `:${name}:`);
+            return ' ';
+        });
+        for (const emoji of text.match(/\p{Extended_Pictographic}(\u200D\p{Extended_Pictographic})*/gu) || []) {
+            increment(stats.emoji, emoji);
+        }
+        for (const match of text.toLowerCase().replace(/https?:\/\/\S+/g, ' ').match(/[\p{L}'\u2019]+/gu) || []) {
+            const word = match.replace(/['\u2019]/g, '');
+            if (word.length >= 3 && !STOP_WORDS.has(word)) increment(stats.words, word);
+        }
+    }
+    return stats;
+}
+
+// Merge several per-channel aggregates into one
+function merge(list) {
+    const merged = aggregate([]);
+    for (const s of list) {
+        merged.count += s.count;
+        merged.totalLength += s.totalLength;
+        s.days.forEach((v, k) => increment(merged.days, k, v));
+        s.words.forEach((v, k) => increment(merged.words, k, v));
+        s.emoji.forEach((v, k) => increment(merged.emoji, k, v));
+        s.heat.forEach((row, d) => row.forEach((v, h) => merged.heat[d][h] += v));
+    }
+    return merged;
+}
+
+// Longest run of consecutive days with at least one message
+function longestStreak(days) {
+    const sorted = Array.from(days.keys()).sort();
+    let best = { length: 0, start: null, end: null };
+    let start = null;
+    let prev = null;
+    let length = 0;
+    for (const key of sorted) {
+        const date = new Date(key + 'T12:00:00');
+        if (prev && Math.round((date - prev) / 86400000) === 1) {
+            length++;
+        } else {
+            start = key;
+            length = 1;
+        }
+        if (length > best.length) best = { length, start, end: key };
+        prev = date;
+    }
+    return best;
+}
+
+// Daily counts from the first to the last active day, including empty days
+function dailySeries(days) {
+    const sorted = Array.from(days.keys()).sort();
+    const series = [];
+    if (!sorted.length) return series;
+    const end = sorted[sorted.length - 1];
+    for (let key = sorted[0]; key <= end; key = nextDay(key)) {
+        series.push({ label: key, value: days.get(key) || 0 });
+    }
+    return series;
+}
+
+function top(map, limit = 20) {
+    return Array.from(map.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([label, value]) => ({ label, value }));
+}
+
+// Read and aggregate every channel once per ZIP and time zone
+function loadChannelStats(zip, onProgress) {
+    const timeZone = getSetting('timeZone');
+    if (channelStats.get(zip)?.timeZone !== timeZone) {
+        channelStats.set(zip, { timeZone, result: (async () => {
+            const dirs = listChannelDirs(zip).sort();
+            const result = [];
+            for (const [i, dir] of dirs.entries()) {
+                const info = await readChannelInfo(zip, dir);
+                let messages = [];
+                try {
+                    messages = await readMessages(zip, dir);
+                } catch (err) {
+                    console.error('Stats: could not read channel', dir, err);
+                }
+                result.push({ dir, info, stats: aggregate(messages) });
+                onProgress?.(i + 1, dirs.length);
+            }
+            return result;
+        })() });
+    }
+    return channelStats.get(zip).result;
+}
+
+function card(title, ...children) {
+    const div = document.createElement('div');
+    div.className = 'card';
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    div.appendChild(heading);
+    children.forEach(child => div.appendChild(child));
+    return div;
+}
+
+function paragraph(text) {
+    const p = document.createElement('p');
+    p.textContent = text;
+    return p;
+}
+
+function channelLabel(info) {
+    return info.guild && !info.is_dm ? `#${info.name} (${info.guild})` : info.name;
+}
+
+function renderContributions(output, contributions) {
+    for (const extra of contributions) {
+        output.appendChild(card(extra.title, extra.chart === 'bar' ? barChart(extra.data) : rankingList(extra.data)));
+    }
+}
+
+function renderDashboard(output, channels, showRankings, contributions = []) {
+    output.innerHTML = '';
+    const stats = merge(channels.map(c => c.stats));
+    if (!stats.count) {
+        output.appendChild(paragraph('No messages in this scope.'));
+        renderContributions(output, contributions);
+        return;
+    }
+
+    const streak = longestStreak(stats.days);
+    const activeDays = stats.days.size;
+    output.appendChild(card('Overview',
+        paragraph(`${stats.count.toLocaleString()} messages on ${activeDays.toLocaleString()} active days.`),
+        paragraph(`Average message length: ${Math.round(stats.totalLength / stats.count)} characters.`),
+        paragraph(streak.length
+            ? `Longest streak: ${streak.length} consecutive days (${streak.start} to ${streak.end}).`
+            : 'Longest streak: none.')
+    ));
+
+    const days = dailySeries(stats.days);
+    const months = new Map();
+    days.forEach(({ label, value }) => increment(months, label.slice(0, 7), value));
+    output.appendChild(card('Messages per Month',
+        barChart(Array.from(months.entries()).map(([label, value]) => ({ label, value })))));
+    output.appendChild(card('Messages per Day', barChart(days, { height: 120 })));
+    output.appendChild(card('Weekday × Hour',
+        heatmap(stats.heat, { rowLabels: WEEKDAYS, colLabels: Array.from({ length: 24 }, (_, h) => String(h)) })));
+
+    if (showRankings) {
+        const guilds = new Map();
+        channels.forEach(c => {
+            if (!c.info.is_dm) increment(guilds, c.info.guild || 'Other channels', c.stats.count);
+        });
+        const topChannels = channels
+            .filter(c => c.stats.count)
+            .sort((a, b) => b.stats.count - a.stats.count)
+            .slice(0, 20)
+            .map(c => ({ label: channelLabel(c.info), value: c.stats.count }));
+        output.appendChild(card('Top Channels', rankingList(topChannels)));
+        if (guilds.size) output.appendChild(card('Top Servers', rankingList(top(guilds))));
+    }
+
+    output.appendChild(card('Most Used Words', stats.words.size ? rankingList(top(stats.words, 30)) : paragraph('None.')));
+    output.appendChild(card('Most Used Emoji', stats.emoji.size ? rankingList(top(stats.emoji, 20)) : paragraph('None.')));
+
+    renderContributions(output, contributions);
+}
+
+// Render the statistics page
+export async function render(zip, container, options = {}) {
+    container.innerHTML = '';
+    const controls = document.createElement('div');
+    controls.className = 'card';
+    const heading = document.createElement('h2');
+    heading.textContent = 'Statistics';
+    controls.appendChild(heading);
+    const scopeSelect = document.createElement('select');
+    controls.appendChild(scopeSelect);
+    const status = document.createElement('p');
+    controls.appendChild(status);
+    container.appendChild(controls);
+    const output = document.createElement('div');
+    container.appendChild(output);
+
+    let channels;
+    try {
+        channels = await loadChannelStats(zip, (done, total) => {
+            status.textContent = `Reading channels… ${done} of ${total}`;
+        });
+    } catch (err) {
+        channelStats.delete(zip);
+        console.error('Stats rendering error', err);
+        status.textContent = 'Error computing statistics: ' + err.message;
+        return;
+    }
+    status.textContent = '';
+    scopeSelect.hidden = !channels.length;
+    const contributions = await statsContributions(zip);
+
+    const addOption = (parent, value, text) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        parent.appendChild(option);
+    };
+    addOption(scopeSelect, '', 'Whole export');
+    const serverGroup = document.createElement('optgroup');
+    serverGroup.label = 'Servers';
+    addOption(serverGroup, 'dm:', 'All direct messages');
+    const guilds = Array.from(new Set(channels.filter(c => !c.info.is_dm && c.info.guild).map(c => c.info.guild))).sort();
+    guilds.forEach(guild => addOption(serverGroup, `guild:${guild}`, guild));
+    scopeSelect.appendChild(serverGroup);
+    const channelGroup = document.createElement('optgroup');
+    channelGroup.label = 'Channels';
+    channels
+        .slice()
+        .sort((a, b) => channelLabel(a.info).localeCompare(channelLabel(b.info)))
+        .forEach(c => addOption(channelGroup, `channel:${c.dir}`, channelLabel(c.info)));
+    scopeSelect.appendChild(channelGroup);
+
+    const update = () => {
+        const [kind, value] = scopeSelect.value.split(/:(.*)/s);
+        let scoped = channels;
+        if (kind === 'channel') scoped = channels.filter(c => c.dir === value);
+        else if (kind === 'dm') scoped = channels.filter(c => c.info.is_dm);
+        else if (kind === 'guild') scoped = channels.filter(c => !c.info.is_dm && c.info.guild === value);
+        renderDashboard(output, scoped, kind !== 'channel', kind ? [] : contributions);
+    };
+    scopeSelect.addEventListener('change', update);
+    if (options.channel) scopeSelect.value = `channel:${options.channel}`;
+    else if (options.guild) scopeSelect.value = `guild:${options.guild}`;
+    if (scopeSelect.selectedIndex < 0) scopeSelect.value = '';
+    update();
+}
+
+// Simple tests for the stats module
+export async function test(zip) {
+    const results = [];
+    const stats = aggregate([
+        { timestamp: '2021-01-01T12:00:00', content: 'hello world 😀 <:pepe:123>' },
+        { timestamp: '2021-01-02T12:00:00', content: 'hello again 😀' },
+        { timestamp: '2021-01-04T12:00:00', content: '' }
+    ]);
+    results.push({ name: 'aggregate counts words and emoji', passed: stats.words.get('hello') === 2 && stats.emoji.get('😀') === 2 && stats.emoji.get(':pepe:') === 1 && !stats.words.has('pepe') });
+    const apostrophes = aggregate([{ timestamp: '', content: "don't won\u2019t can't stop" }]);
+    results.push({
+        name: 'aggregate joins words with apostrophes before the stop word check',
+        passed: !apostrophes.words.has('dont') && apostrophes.words.get('wont') === 1 && apostrophes.words.get('stop') === 1 && !apostrophes.words.has('don')
+    });
+    const streak = longestStreak(stats.days);
+    results.push({ name: 'longestStreak finds consecutive days', passed: streak.length === 2 });
+    const merged = merge([stats, stats]);
+    results.push({ name: 'merge adds up channel statistics', passed: merged.count === 6 && merged.words.get('hello') === 4 });
+    const output = document.createElement('div');
+    renderDashboard(output, [], true, [{ title: 'Payments per Year', chart: 'bar', data: [{ label: '2021', value: 1 }] }]);
+    results.push({
+        name: 'contributed cards are shown without messages',
+        passed: output.textContent.includes('No messages') && output.textContent.includes('Payments per Year')
+    });
+    return results;
+}
@@ -0,0 +1,241 @@
+// storage.js
+// Opt-in persistence of loaded exports in IndexedDB. The ZIP archive is
+// split into chunks that are encrypted one by one with AES-GCM, using a key
+// derived from the user's passphrase (PBKDF2, SHA-256). The passphrase and
+// the key are never stored. Only the file name, size and dates are kept in
+// clear text so the saved exports can be listed.
+//
+// Nothing touches IndexedDB until the user saves an export: listing opens
+// the database without creating it.
+
+const DB_NAME = 'discord-export-visualizer';
+const DB_VERSION = 1;
+
+// Size of one encrypted piece of the archive
+const CHUNK_SIZE = 16 * 1024 * 1024;
+
+const PBKDF2_ITERATIONS = 310000;
+
+// Encrypted with the derived key to tell a wrong passphrase from damaged data
+const VERIFIER = 'discord-export-visualizer';
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+// Open the database. Unless create is set, a database that does not exist
+// yet is not created and null is returned.
+function openDb({ create = false } = {}) {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available in this browser'));
+            return;
+        }
+        let aborted = false;
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (e) => {
+            if (!create && e.oldVersion === 0) {
+                aborted = true;
+                request.transaction.abort();
+                return;
+            }
+            const db = request.result;
+            if (!db.objectStoreNames.contains('exports')) db.createObjectStore('exports', { keyPath: 'id' });
+            if (!db.objectStoreNames.contains('chunks')) db.createObjectStore('chunks', { keyPath: ['exportId', 'index'] });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = (e) => {
+            if (aborted) {
+                e.preventDefault();
+                resolve(null);
+            } else {
+                reject(request.error);
+            }
+        };
+    });
+}
+
+async function deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// Encrypt one piece of data. The label (export ID and chunk number) is
+// authenticated too, so chunks cannot be swapped between positions.
+async function encrypt(key, data, label) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const additionalData = new TextEncoder().encode(label);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData }, key, data);
+    return { iv, data: ciphertext };
+}
+
+async function decrypt(key, { iv, data }, label) {
+    const additionalData = new TextEncoder().encode(label);
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData }, key, data);
+}
+
+// Saved exports, most recently opened first
+export async function listSavedExports() {
+    const db = await openDb();
+    if (!db) return [];
+    try {
+        const tx = db.transaction('exports', 'readonly');
+        const records = await requestToPromise(tx.objectStore('exports').getAll());
+        return records
+            .map(({ id, name, size, savedAt, lastOpened }) => ({ id, name, size, savedAt, lastOpened }))
+            .sort((a, b) => String(b.lastOpened).localeCompare(String(a.lastOpened)));
+    } finally {
+        db.close();
+    }
+}
+
+async function deleteChunks(db, id) {
+    const tx = db.transaction('chunks', 'readwrite');
+    tx.objectStore('chunks').delete(IDBKeyRange.bound([id, 0], [id, Infinity]));
+    await transactionDone(tx);
+}
+
+// Encrypt and store a File or Blob. onProgress receives (bytesDone, bytesTotal).
+// Returns the ID of the saved export.
+export async function saveExport(file, name, passphrase, onProgress) {
+    if (navigator.storage?.estimate) {
+        const { quota, usage } = await navigator.storage.estimate();
+        if (quota && usage !== undefined && quota - usage < file.size) {
+            throw new Error('Not enough browser storage for this export');
+        }
+    }
+    const id = crypto.randomUUID();
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt);
+    const db = await openDb({ create: true });
+    try {
+        const chunks = Math.ceil(file.size / CHUNK_SIZE);
+        for (let index = 0; index < chunks; index++) {
+            const plain = await file.slice(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE).arrayBuffer();
+            const encrypted = await encrypt(key, plain, `${id}:${index}`);
+            // Crypto calls cannot run inside a transaction, so each chunk gets its own
+            const tx = db.transaction('chunks', 'readwrite');
+            tx.objectStore('chunks').put({ exportId: id, index, ...encrypted });
+            await transactionDone(tx);
+            onProgress?.(Math.min((index + 1) * CHUNK_SIZE, file.size), file.size);
+        }
+        // The record is written last, so an interrupted save is never listed
+        const now = new Date().toISOString();
+        const verifier = await encrypt(key, new TextEncoder().encode(VERIFIER), `${id}:verifier`);
+        const tx = db.transaction('exports', 'readwrite');
+        tx.objectStore('exports').put({
+            id,
+            name,
+            size: file.size,
+            savedAt: now,
+            lastOpened: now,
+            chunks,
+            salt,
+            iterations: PBKDF2_ITERATIONS,
+            verifier
+        });
+        await transactionDone(tx);
+        return id;
+    } catch (err) {
+        await deleteChunks(db, id).catch(cleanupErr => console.error('Could not remove partial export', cleanupErr));
+        throw err;
+    } finally {
+        db.close();
+    }
+}
+
+// Decrypt a saved export into a File. Throws "Wrong passphrase" if the
+// passphrase does not match. onProgress receives (bytesDone, bytesTotal).
+export async function openSavedExport(id, passphrase, onProgress) {
+    const db = await openDb();
+    if (!db) throw new Error('No saved exports');
+    try {
+        const record = await requestToPromise(db.transaction('exports', 'readonly').objectStore('exports').get(id));
+        if (!record) throw new Error('This export is no longer saved');
+        const key = await deriveKey(passphrase, record.salt, record.iterations);
+        try {
+            await decrypt(key, record.verifier, `${id}:verifier`);
+        } catch (_) {
+            throw new Error('Wrong passphrase');
+        }
+        const parts = [];
+        let done = 0;
+        for (let index = 0; index < record.chunks; index++) {
+            const chunk = await requestToPromise(db.transaction('chunks', 'readonly').objectStore('chunks').get([id, index]));
+            if (!chunk) throw new Error(`Saved export is incomplete (chunk ${index + 1} of ${record.chunks} missing)`);
+            const plain = await decrypt(key, chunk, `${id}:${index}`);
+            parts.push(plain);
+            done += plain.byteLength;
+            onProgress?.(done, record.size);
+        }
+        const tx = db.transaction('exports', 'readwrite');
+        tx.objectStore('exports').put({ ...record, lastOpened: new Date().toISOString() });
+        await transactionDone(tx);
+        return new File(parts, record.name, { type: 'application/zip' });
+    } finally {
+        db.close();
+    }
+}
+
+export async function deleteSavedExport(id) {
+    const db = await openDb();
+    if (!db) return;
+    try {
+        await deleteChunks(db, id);
+        const tx = db.transaction('exports', 'readwrite');
+        tx.objectStore('exports').delete(id);
+        await transactionDone(tx);
+    } finally {
+        db.close();
+    }
+}
+
+// Remove the whole database, i.e. every saved export. While other tabs keep
+// the database open the deletion waits for them; onBlocked is called so the
+// page can ask the user to close them.
+export function wipeSavedExports({ onBlocked } = {}) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.deleteDatabase(DB_NAME);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => onBlocked?.();
+    });
+}
+
+// Simple tests for the encryption used by saved exports (no IndexedDB access)
+export async function test() {
+    const results = [];
+    try {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await deriveKey('correct horse', salt, 1000);
+        const encrypted = await encrypt(key, new TextEncoder().encode('hello export'), 'test:0');
+        const plain = new TextDecoder().decode(await decrypt(key, encrypted, 'test:0'));
+        results.push({ name: 'saved export chunks decrypt with the same passphrase', passed: plain === 'hello export' });
+        const fails = (promise) => promise.then(() => false, () => true);
+        results.push({
+            name: 'a wrong passphrase cannot decrypt a chunk',
+            passed: await fails(deriveKey('wrong horse', salt, 1000).then(wrongKey => decrypt(wrongKey, encrypted, 'test:0')))
+        });
+        results.push({ name: 'chunks cannot be moved to another position', passed: await fails(decrypt(key, encrypted, 'test:1')) });
+    } catch (err) {
+        results.push({ name: 'storage encryption throws exception', passed: false });
+    }
+    return results;
+}
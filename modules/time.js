@@ -0,0 +1,122 @@
+// time.js
+// Date formatting in the time zone and locale chosen in the settings
+// (settings.js). Empty settings fall back to the browser's own. Exports
+// store UTC timestamps, so everything that shows or groups dates by day
+// goes through these helpers.
+
+import { getSetting } from './settings.js';
+
+const formatters = new Map();
+
+// Intl.DateTimeFormat for the current settings, cached per option set.
+// options.timeZone, if given, replaces the chosen time zone.
+export function dateFormatter(options) {
+    const locale = getSetting('locale') || undefined;
+    const timeZone = options.timeZone || getSetting('timeZone') || undefined;
+    const key = JSON.stringify([locale, timeZone, options]);
+    if (!formatters.has(key)) {
+        formatters.set(key, new Intl.DateTimeFormat(locale, { ...options, timeZone }));
+    }
+    return formatters.get(key);
+}
+
+// "1 Jan 2022, 10:00:00"
+export function formatDateTime(date) {
+    return dateFormatter({ dateStyle: 'medium', timeStyle: 'medium' }).format(date);
+}
+
+// "10:00"
+export function formatTime(date) {
+    return dateFormatter({ timeStyle: 'short' }).format(date);
+}
+
+// "Saturday, 1 January 2022"
+export function formatDay(date) {
+    return dateFormatter({ dateStyle: 'full' }).format(date);
+}
+
+// Calendar fields of a date in a time zone (the chosen one by default), as numbers
+function zoneParts(date, timeZone) {
+    const formatter = dateFormatter({
+        year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+        hourCycle: 'h23', calendar: 'gregory', numberingSystem: 'latn', timeZone
+    });
+    const parts = {};
+    for (const { type, value } of formatter.formatToParts(date)) {
+        if (type !== 'literal') parts[type] = Number(value);
+    }
+    return parts;
+}
+
+function pad(n, length = 2) {
+    return String(n).padStart(length, '0');
+}
+
+// Calendar day of a date in the chosen time zone as "YYYY-MM-DD"
+export function dayKey(date, timeZone) {
+    const { year, month, day } = zoneParts(date, timeZone);
+    return `${pad(year, 4)}-${pad(month)}-${pad(day)}`;
+}
+
+// Day, weekday (0 = Sunday) and hour (0-23) of a date in the chosen time
+// zone, for charts that bucket by hour
+export function dayAndHour(date, timeZone) {
+    const { year, month, day, hour } = zoneParts(date, timeZone);
+    const key = `${pad(year, 4)}-${pad(month)}-${pad(day)}`;
+    return { day: key, weekday: new Date(`${key}T00:00:00Z`).getUTCDay(), hour };
+}
+
+// Milliseconds the chosen time zone is ahead of UTC at a date
+function zoneOffset(time, timeZone) {
+    const { year, month, day, hour, minute, second } = zoneParts(new Date(time), timeZone);
+    return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(time / 1000) * 1000;
+}
+
+// Time (ms) at which a "YYYY-MM-DD" day starts in the chosen time zone, for
+// date filters; the offset is looked up twice so days with a DST change work
+export function dayStart(key, timeZone) {
+    const midnight = Date.parse(`${key}T00:00:00Z`);
+    return midnight - zoneOffset(midnight - zoneOffset(midnight, timeZone), timeZone);
+}
+
+// The day after a "YYYY-MM-DD" day
+export function nextDay(key) {
+    const date = new Date(`${key}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + 1);
+    return date.toISOString().slice(0, 10);
+}
+
+// The zone used when the setting is empty
+export function browserTimeZone() {
+    return new Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+// Time zones to choose from, "UTC" first
+export function timeZones() {
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    return ['UTC', ...zones.filter(zone => zone !== 'UTC')];
+}
+
+// Simple tests for the time zone helpers
+export function test() {
+    const results = [];
+    const evening = new Date('2022-01-01T20:00:00Z');
+    results.push({
+        name: 'dayKey picks the day in the given time zone',
+        passed: dayKey(evening, 'UTC') === '2022-01-01' && dayKey(evening, 'Asia/Tokyo') === '2022-01-02' &&
+            dayKey(new Date('2022-01-01T03:00:00Z'), 'America/New_York') === '2021-12-31'
+    });
+    const tokyo = dayAndHour(evening, 'Asia/Tokyo');
+    results.push({
+        name: 'dayAndHour gives weekday and hour across midnight',
+        passed: tokyo.day === '2022-01-02' && tokyo.weekday === 0 && tokyo.hour === 5
+    });
+    results.push({
+        name: 'dayStart finds midnight in the given time zone, also on DST changes',
+        passed: dayStart('2022-01-02', 'Asia/Tokyo') === Date.parse('2022-01-01T15:00:00Z') &&
+            dayStart('2022-03-13', 'America/New_York') === Date.parse('2022-03-13T05:00:00Z') &&
+            dayStart('2022-03-14', 'America/New_York') === Date.parse('2022-03-14T04:00:00Z')
+    });
+    results.push({ name: 'nextDay crosses month ends', passed: nextDay('2024-02-28') === '2024-02-29' && nextDay('2021-12-31') === '2022-01-01' });
+    return results;
+}
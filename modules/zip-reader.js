@@ -0,0 +1,26 @@
+// zip-reader.js
+// Reading a ZIP file into memory piece by piece with progress. Used by
+// load-worker.js and, when workers are unavailable, by loader.js on the
+// page. No DOM access.
+//  - readFile(file, onProgress, isCancelled): Uint8Array with the file's bytes.
+
+// Bytes read at a time
+export const CHUNK_SIZE = 8 * 1024 * 1024;
+
+// onProgress receives (bytesRead, bytesTotal). isCancelled is checked
+// between pieces; reading stops with an error once it returns true.
+export async function readFile(file, onProgress, isCancelled = () => false) {
+    let bytes;
+    try {
+        bytes = new Uint8Array(file.size);
+    } catch (_) {
+        throw new Error('This export is too large to load in this browser');
+    }
+    for (let offset = 0; offset < file.size; offset += CHUNK_SIZE) {
+        if (isCancelled()) throw new Error('Loading cancelled');
+        const piece = await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+        bytes.set(new Uint8Array(piece), offset);
+        onProgress?.(Math.min(offset + CHUNK_SIZE, file.size), file.size);
+    }
+    return bytes;
+}